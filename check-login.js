@@ -0,0 +1,130 @@
+// Stand-in login check: runs login() and detectAccountTier() against a local copy of a two-step login form, so the
+// login flow can be checked without a QuillBot account (npm run check:login). Exits with 1 if any case fails.
+const http = require('http');
+
+const {detectAccountTier, isLoggedIn, login} = require('./lib/auth');
+const {LoginFailedError} = require('./lib/errors');
+const {launchBrowser, createPage, navigateToUrl} = require('./lib/utils');
+
+// Stand-in accounts of the local login page
+const ACCOUNTS = {
+    'free@example.com': {password: 'secret', tier: 'free'},
+    'premium@example.com': {password: 'secret', tier: 'premium'},
+    // Accepted, but held for verification without a session, like a login that needs a second factor
+    'unverified@example.com': {password: 'secret', tier: 'free', unverified: true},
+};
+
+// Two-step login form like QuillBot's: the password field only shows after the email is entered
+const LOGIN_PAGE = `<!DOCTYPE html>
+<html><body>
+<form id="login">
+    <input type="email" name="username">
+    <input type="password" name="password" style="display: none">
+    <button type="submit" data-testid="login-btn">Continue</button>
+    <p role="alert"></p>
+</form>
+<script>
+    const form = document.getElementById('login');
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        if (form.password.style.display === 'none') {
+            form.password.style.display = '';
+            return;
+        }
+        const response = await fetch('/session', {
+            method: 'POST',
+            body: JSON.stringify({email: form.username.value, password: form.password.value}),
+        });
+        if (response.ok) {
+            window.location.href = '/';
+        } else {
+            form.querySelector('[role="alert"]').textContent = 'Incorrect email or password';
+        }
+    });
+</script>
+</body></html>`;
+
+/**
+ * Build the landing page: signed-in accounts get an avatar, premium ones a badge too
+ * @param {Object|null} account - Signed-in stand-in account, or null
+ * @returns {string} HTML
+ */
+function homePage(account) {
+    if (!account) {
+        return '<!DOCTYPE html><html><body><a href="/login">Log in</a></body></html>';
+    }
+    const badge = account.tier === 'premium' ? '<span data-testid="premium-badge">Premium</span>' : '';
+    return `<!DOCTYPE html><html><body><div data-testid="account-avatar"></div>${badge}</body></html>`;
+}
+
+/**
+ * Start the stand-in login server on a free local port
+ * @returns {Promise<Object>} HTTP server
+ */
+async function startServer() {
+    const server = http.createServer(async (req, res) => {
+        if (req.method === 'POST' && req.url === '/session') {
+            const chunks = [];
+            for await (const chunk of req) {
+                chunks.push(chunk);
+            }
+            const {email, password} = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            const account = ACCOUNTS[email];
+            if (!account || account.password !== password) {
+                res.writeHead(401);
+                res.end();
+                return;
+            }
+            res.writeHead(204, account.unverified ? {} : {'Set-Cookie': `session=${encodeURIComponent(email)}; Path=/`});
+            res.end();
+            return;
+        }
+
+        const session = /(?:^|;\s*)session=([^;]+)/.exec(req.headers.cookie || '');
+        const body = req.url.startsWith('/login') ? LOGIN_PAGE : homePage(session && ACCOUNTS[decodeURIComponent(session[1])]);
+        res.writeHead(200, {'Content-Type': 'text/html; charset=utf-8'});
+        res.end(body);
+    });
+    await new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', resolve);
+    });
+    return server;
+}
+
+(async () => {
+    const server = await startServer();
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const {browser} = await launchBrowser({headless: true});
+    let failed = false;
+
+    try {
+        const cases = [
+            {email: 'free@example.com', password: 'secret', expected: 'free'},
+            {email: 'premium@example.com', password: 'secret', expected: 'premium'},
+            {email: 'free@example.com', password: 'wrong', expected: LoginFailedError.name},
+            {email: 'unverified@example.com', password: 'secret', expected: LoginFailedError.name},
+        ];
+        for (const {email, password, expected} of cases) {
+            // Each case gets its own cookies
+            const context = await browser.createBrowserContext();
+            const page = await createPage(context);
+            let result;
+            try {
+                await login(page, {email, password}, {loginUrl: `${baseUrl}/login`});
+                await navigateToUrl(page, baseUrl);
+                result = await isLoggedIn(page) ? await detectAccountTier(page) : 'anonymous';
+            } catch (error) {
+                result = error.name;
+            } finally {
+                await context.close();
+            }
+
+            failed = failed || result !== expected;
+            console.log(`${result === expected ? 'ok' : 'FAILED'}: ${email} / ${password} -> ${result} (expected ${expected})`);
+        }
+    } finally {
+        await browser.close();
+        server.close();
+    }
+    process.exitCode = failed ? 1 : 0;
+})();
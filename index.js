@@ -1,5 +1,66 @@
-const {paraphraser} = require('./lib/paraphraser');
-const {translator} = require('./lib/translator');
+const {alignSentences, similarity} = require('./lib/alignment');
+const {
+    chunkText,
+    chunkParagraphs,
+    countWords,
+    splitSentences,
+    splitParagraphs,
+    joinParagraphs,
+} = require('./lib/chunker');
+const {
+    QuillBotClient,
+    paraphraser,
+    translator,
+    grammarChecker,
+    summarizer,
+    aiDetector,
+    citationGenerator,
+    getSupportedLanguages,
+    getParaphraserCapabilities,
+} = require('./lib/client');
+const {
+    QuillBotError,
+    SelectorNotFoundError,
+    SubmissionTimeoutError,
+    OutputEmptyError,
+    BrowserCrashedError,
+    QuotaExceededError,
+    LoginFailedError,
+    InvalidOptionError,
+    FeatureNotAvailableError,
+    FrozenWordsChangedError,
+    serializeError,
+} = require('./lib/errors');
+const {QuillBotPool} = require('./lib/pool');
+const {QuillBotServer} = require('./lib/server');
 
+exports.QuillBotClient = QuillBotClient;
+exports.QuillBotPool = QuillBotPool;
+exports.QuillBotServer = QuillBotServer;
 exports.paraphraser = paraphraser;
 exports.translator = translator;
+exports.grammarChecker = grammarChecker;
+exports.summarizer = summarizer;
+exports.aiDetector = aiDetector;
+exports.citationGenerator = citationGenerator;
+exports.getSupportedLanguages = getSupportedLanguages;
+exports.getParaphraserCapabilities = getParaphraserCapabilities;
+exports.QuillBotError = QuillBotError;
+exports.SelectorNotFoundError = SelectorNotFoundError;
+exports.SubmissionTimeoutError = SubmissionTimeoutError;
+exports.OutputEmptyError = OutputEmptyError;
+exports.BrowserCrashedError = BrowserCrashedError;
+exports.QuotaExceededError = QuotaExceededError;
+exports.LoginFailedError = LoginFailedError;
+exports.InvalidOptionError = InvalidOptionError;
+exports.FeatureNotAvailableError = FeatureNotAvailableError;
+exports.FrozenWordsChangedError = FrozenWordsChangedError;
+exports.serializeError = serializeError;
+exports.chunkText = chunkText;
+exports.chunkParagraphs = chunkParagraphs;
+exports.countWords = countWords;
+exports.splitSentences = splitSentences;
+exports.splitParagraphs = splitParagraphs;
+exports.joinParagraphs = joinParagraphs;
+exports.alignSentences = alignSentences;
+exports.similarity = similarity;
@@ -0,0 +1,124 @@
+const {splitSentences} = require('./chunker');
+
+const DEFAULT_LOCALE = 'en';
+// Score penalties that make the aligner prefer one-to-one sentence pairs
+const MERGE_PENALTY = 0.1;
+const SKIP_PENALTY = 0.2;
+
+/**
+ * Split text into lowercase words using the locale's word segmentation
+ * @param {string} text - Text to split
+ * @param {string} locale - BCP 47 locale used for segmentation (default: 'en')
+ * @returns {string[]} Lowercase words
+ */
+function tokenize(text, locale = DEFAULT_LOCALE) {
+    const segmenter = new Intl.Segmenter(locale, {granularity: 'word'});
+    const words = [];
+    for (const {segment, isWordLike} of segmenter.segment(text || '')) {
+        if (isWordLike) words.push(segment.toLocaleLowerCase(locale));
+    }
+    return words;
+}
+
+/**
+ * Word-overlap similarity of two texts (Dice coefficient over word counts)
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @param {string} locale - BCP 47 locale used for segmentation (default: 'en')
+ * @returns {number} Similarity from 0 (no shared words) to 1 (same words)
+ */
+function similarity(a, b, locale = DEFAULT_LOCALE) {
+    const wordsA = tokenize(a, locale);
+    const wordsB = tokenize(b, locale);
+    if (wordsA.length === 0 && wordsB.length === 0) {
+        return 1;
+    }
+    if (wordsA.length === 0 || wordsB.length === 0) {
+        return 0;
+    }
+
+    const counts = new Map();
+    wordsA.forEach((word) => counts.set(word, (counts.get(word) || 0) + 1));
+    let shared = 0;
+    wordsB.forEach((word) => {
+        const count = counts.get(word) || 0;
+        if (count > 0) {
+            shared += 1;
+            counts.set(word, count - 1);
+        }
+    });
+    return (2 * shared) / (wordsA.length + wordsB.length);
+}
+
+/**
+ * Align the sentences of a source text with the sentences of its rewrite or translation.
+ * Sentences are matched one-to-one where possible, and may be merged (two to one, one to two)
+ * or left unmatched when the rewrite split, joined, added or dropped sentences.
+ * @param {string} sourceText - Original text
+ * @param {string} targetText - Rewritten or translated text
+ * @param {string} locale - BCP 47 locale used for segmentation (default: 'en')
+ * @returns {Object[]} Aligned pairs ({source, target, sourceIndexes, targetIndexes, similarity}) in order
+ */
+function alignSentences(sourceText, targetText, locale = DEFAULT_LOCALE) {
+    const source = splitSentences(sourceText || '', locale).map((sentence) => sentence.trim()).filter(Boolean);
+    const target = splitSentences(targetText || '', locale).map((sentence) => sentence.trim()).filter(Boolean);
+
+    // Moves as [source sentences consumed, target sentences consumed]
+    const moves = [[1, 1], [2, 1], [1, 2], [1, 0], [0, 1]];
+    const join = (sentences, start, count) => sentences.slice(start, start + count).join(' ');
+    const scoreMove = (i, j, [ds, dt]) => {
+        if (ds === 0 || dt === 0) return -SKIP_PENALTY;
+        const score = similarity(join(source, i, ds), join(target, j, dt), locale);
+        return ds + dt > 2 ? score - MERGE_PENALTY : score;
+    };
+
+    // best[i][j] is the best score for aligning the first i source and j target sentences
+    const best = Array.from({length: source.length + 1}, () => new Array(target.length + 1).fill(-Infinity));
+    const previous = Array.from({length: source.length + 1}, () => new Array(target.length + 1).fill(null));
+    best[0][0] = 0;
+
+    for (let i = 0; i <= source.length; i += 1) {
+        for (let j = 0; j <= target.length; j += 1) {
+            if (best[i][j] !== -Infinity) {
+                for (const move of moves) {
+                    const [ds, dt] = move;
+                    if (i + ds <= source.length && j + dt <= target.length) {
+                        const score = best[i][j] + scoreMove(i, j, move);
+                        if (score > best[i + ds][j + dt]) {
+                            best[i + ds][j + dt] = score;
+                            previous[i + ds][j + dt] = move;
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    // Walk back from the end to recover the aligned pairs
+    const pairs = [];
+    let i = source.length;
+    let j = target.length;
+    while (i > 0 || j > 0) {
+        const [ds, dt] = previous[i][j];
+        i -= ds;
+        j -= dt;
+        const sourceStart = i;
+        const targetStart = j;
+        const sourceSentence = join(source, sourceStart, ds);
+        const targetSentence = join(target, targetStart, dt);
+        pairs.unshift({
+            source: sourceSentence,
+            target: targetSentence,
+            sourceIndexes: Array.from({length: ds}, (_, k) => sourceStart + k),
+            targetIndexes: Array.from({length: dt}, (_, k) => targetStart + k),
+            similarity: ds && dt ? similarity(sourceSentence, targetSentence, locale) : 0,
+        });
+    }
+    return pairs;
+}
+
+module.exports = {
+    tokenize,
+    similarity,
+    alignSentences,
+};
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+
+const {LoginFailedError, SelectorNotFoundError} = require('./errors');
+const {
+    safePageOperation,
+    saveHTMLForDebug,
+    createPage,
+    navigateToUrl,
+    findVisibleSelector,
+    wait,
+} = require('./utils');
+
+const LOGIN_URL = 'https://quillbot.com/login';
+const ACCOUNT_CHECK_URL = 'https://quillbot.com/';
+const EMAIL_SELECTORS = [
+    'input[type="email"]',
+    'input[name="username"]',
+    'input[name="email"]',
+    'input[autocomplete="username"]',
+];
+const PASSWORD_SELECTORS = [
+    'input[type="password"]',
+    'input[name="password"]',
+    'input[autocomplete="current-password"]',
+];
+const SUBMIT_SELECTORS = [
+    '[data-testid="login-btn"]',
+    'button[type="submit"]',
+    'form button',
+];
+// How long a login field may take to show up, e.g. while the form renders or after the first step
+const FIELD_TIMEOUT = 5000;
+
+/**
+ * Read cookies from a JSON cookie jar file
+ * @param {string} cookiesFile - Path to the cookie jar
+ * @returns {Object[]} Cookies, or an empty array if the file does not exist
+ */
+function readCookiesFile(cookiesFile) {
+    if (!cookiesFile || !fs.existsSync(cookiesFile)) {
+        return [];
+    }
+    const cookies = JSON.parse(fs.readFileSync(cookiesFile, 'utf8'));
+    return Array.isArray(cookies) ? cookies : [];
+}
+
+/**
+ * Load cookies into a browser or browser context
+ * @param {Object} browser - Puppeteer browser or browser context
+ * @param {Object} options - Options object
+ * @param {Object[]} options.cookies - Cookies to import (Puppeteer cookie objects)
+ * @param {string} options.cookiesFile - Path to a JSON cookie jar saved by saveCookies
+ * @returns {Promise<number>} Number of cookies loaded
+ */
+async function loadCookies(browser, options = {}) {
+    const cookies = [...(options.cookies || []), ...readCookiesFile(options.cookiesFile)];
+    if (cookies.length === 0) {
+        return 0;
+    }
+
+    await browser.setCookie(...cookies);
+    console.log(`Loaded ${cookies.length} cookies`);
+    return cookies.length;
+}
+
+/**
+ * Save the cookies of a browser or browser context to a JSON cookie jar
+ * @param {Object} browser - Puppeteer browser or browser context
+ * @param {string} cookiesFile - Path to the cookie jar
+ * @returns {Promise<void>}
+ */
+async function saveCookies(browser, cookiesFile) {
+    const cookies = await browser.cookies();
+    fs.mkdirSync(path.dirname(path.resolve(cookiesFile)), {recursive: true});
+    fs.writeFileSync(cookiesFile, JSON.stringify(cookies, null, 2), 'utf8');
+    console.log(`Saved ${cookies.length} cookies to: ${cookiesFile}`);
+}
+
+/**
+ * Check whether the page shows a signed-in QuillBot account
+ * @param {Object} page - Puppeteer page object
+ * @returns {Promise<boolean>} True if signed in
+ */
+async function isLoggedIn(page) {
+    return safePageOperation(async () => page.evaluate(() => {
+        const accountElement = document.querySelector('[data-testid*="avatar" i], [data-testid*="account" i], [aria-label*="account" i]');
+        const loginLink = Array.from(document.querySelectorAll('a, button'))
+            .find((el) => /^\s*(log in|login|sign in)\s*$/i.test(el.textContent || ''));
+        return Boolean(accountElement) && !loginLink;
+    }), 2, page);
+}
+
+/**
+ * Detect the tier of the signed-in account from the page
+ * @param {Object} page - Puppeteer page object with a QuillBot tool loaded
+ * @returns {Promise<string>} 'premium', 'free' or 'anonymous'
+ */
+async function detectAccountTier(page) {
+    try {
+        if (!await isLoggedIn(page)) {
+            return 'anonymous';
+        }
+
+        // Only a premium badge counts, since a missing upgrade prompt may just be a changed page layout
+        const isPremium = await safePageOperation(async () => page.evaluate(
+            () => Boolean(document.querySelector('[data-testid*="premium-badge" i], [class*="premiumBadge" i]'))
+        ), 2, page);
+        return isPremium ? 'premium' : 'free';
+    } catch (error) {
+        console.log(`Could not detect account tier (assuming free): ${error.message}`);
+        return 'free';
+    }
+}
+
+/**
+ * Log in to QuillBot with an email and password
+ * @param {Object} page - Puppeteer page object
+ * @param {Object} account - Account credentials
+ * @param {string} account.email - Account email
+ * @param {string} account.password - Account password
+ * @param {Object} options - Options object
+ * @param {string} options.loginUrl - Login page URL (default: QuillBot's login page)
+ * @param {boolean} options.isDev - Whether in development mode
+ * @returns {Promise<void>}
+ * @throws {QuillBotError} If a login field is missing, or the login is rejected or does not sign in
+ */
+async function login(page, account, {loginUrl = LOGIN_URL, isDev = false} = {}) {
+    console.log('Logging in to QuillBot...');
+    await navigateToUrl(page, loginUrl);
+
+    const emailSelector = await findVisibleSelector(page, EMAIL_SELECTORS, FIELD_TIMEOUT);
+    if (!emailSelector) {
+        const debugFile = await saveHTMLForDebug(page, 'login-email-not-found.html', isDev);
+        throw new SelectorNotFoundError('Login email field not found', {selector: EMAIL_SELECTORS.join(', '), debugFile});
+    }
+    await safePageOperation(async () => page.type(emailSelector, account.email, {delay: 20}));
+
+    // Some login forms ask for the password on a second step; a one-step form shows it with the email field
+    const firstStepPassword = await findVisibleSelector(page, PASSWORD_SELECTORS);
+    if (!firstStepPassword) {
+        await safePageOperation(async () => page.keyboard.press('Enter'));
+        await wait(1500);
+    }
+    const passwordSelector = firstStepPassword || await findVisibleSelector(page, PASSWORD_SELECTORS, FIELD_TIMEOUT);
+    if (!passwordSelector) {
+        const debugFile = await saveHTMLForDebug(page, 'login-password-not-found.html', isDev);
+        throw new SelectorNotFoundError('Login password field not found', {selector: PASSWORD_SELECTORS.join(', '), debugFile});
+    }
+    await safePageOperation(async () => page.type(passwordSelector, account.password, {delay: 20}));
+
+    const submitSelector = await findVisibleSelector(page, SUBMIT_SELECTORS);
+    await safePageOperation(async () => {
+        if (submitSelector) {
+            await page.click(submitSelector);
+        } else {
+            await page.keyboard.press('Enter');
+        }
+    });
+
+    // A successful login leaves the login page
+    try {
+        await page.waitForFunction((url) => window.location.href !== url, {timeout: 30000, polling: 500}, page.url());
+        await wait(2000);
+    } catch (error) {
+        const message = await safePageOperation(async () => page.evaluate(() => {
+            const alert = document.querySelector('[role="alert"], [class*="error" i]');
+            return alert ? (alert.textContent || '').trim() : '';
+        }), 1).catch(() => '');
+        const debugFile = await saveHTMLForDebug(page, 'login-failed.html', isDev);
+        throw new LoginFailedError(`Login failed${message ? `: ${message}` : ''}`, {
+            selector: submitSelector,
+            debugFile,
+            cause: error,
+        });
+    }
+
+    // Leaving the login page is not enough (e.g., a redirect to a verification step), so check the session.
+    // The page landed on may not show the account menu; the site's home page does.
+    if (!await isLoggedIn(page)) {
+        await navigateToUrl(page, new URL('/', loginUrl).href);
+        await wait(3000);
+    }
+    if (!await isLoggedIn(page)) {
+        const debugFile = await saveHTMLForDebug(page, 'login-not-signed-in.html', isDev);
+        throw new LoginFailedError(`Login did not sign in (ended on ${page.url()})`, {selector: submitSelector, debugFile});
+    }
+    console.log('Logged in to QuillBot');
+}
+
+/**
+ * Prepare a signed-in session: import cookies, log in with credentials if needed and persist the cookies
+ * @param {Object} browser - Puppeteer browser or browser context
+ * @param {Object} options - Options object
+ * @param {Object} options.account - Credentials ({email, password}) used when the cookies are not signed in
+ * @param {Object[]} options.cookies - Cookies to import
+ * @param {string} options.cookiesFile - JSON cookie jar loaded before and saved after logging in
+ * @param {string} options.loginUrl - Login page URL (default: QuillBot's login page)
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<void>}
+ */
+async function setupSession(browser, options = {}, isDev = false) {
+    await loadCookies(browser, options);
+    if (!options.account) {
+        return;
+    }
+
+    const page = await createPage(browser);
+    try {
+        await navigateToUrl(page, ACCOUNT_CHECK_URL);
+        await wait(3000);
+        if (await isLoggedIn(page)) {
+            console.log('Existing QuillBot session is signed in');
+        } else {
+            await login(page, options.account, {loginUrl: options.loginUrl, isDev});
+        }
+
+        if (options.cookiesFile) {
+            await saveCookies(browser, options.cookiesFile);
+        }
+    } finally {
+        await page.close();
+    }
+}
+
+module.exports = {
+    loadCookies,
+    saveCookies,
+    isLoggedIn,
+    detectAccountTier,
+    login,
+    setupSession,
+};
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {InvalidOptionError} = require('./errors');
+
+const DEFAULT_CACHE_FILE = path.join(os.tmpdir(), 'quillbot-api', 'capabilities.json');
+const DEFAULT_CACHE_TTL = 24 * 60 * 60 * 1000; // Menus rarely change more than once a day
+
+/**
+ * Read the whole capabilities cache file
+ * @param {string} cacheFile - Path of the cache file
+ * @returns {Object} Cache entries keyed by name ({fetchedAt, data}), empty if the file is missing or unreadable
+ */
+function readCacheFile(cacheFile) {
+    try {
+        return fs.existsSync(cacheFile) ? JSON.parse(fs.readFileSync(cacheFile, 'utf8')) : {};
+    } catch (error) {
+        console.log(`Ignoring unreadable capabilities cache ${cacheFile}: ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * Get a cached capabilities entry if it is younger than the TTL
+ * @param {string} key - Cache entry name (e.g., 'languages')
+ * @param {Object} options - Options object
+ * @param {string} options.capabilitiesCacheFile - Path of the cache file (default: in the OS temp directory)
+ * @param {number} options.capabilitiesTtl - Cache lifetime in milliseconds, 0 to disable the cache (default: 24 hours)
+ * @param {boolean} options.refresh - Ignore the cache
+ * @returns {Object|null} Cached data or null if there is no fresh entry
+ */
+function readCachedCapabilities(key, options = {}) {
+    const ttl = options.capabilitiesTtl ?? DEFAULT_CACHE_TTL;
+    if (options.refresh || ttl <= 0) {
+        return null;
+    }
+    const entry = readCacheFile(options.capabilitiesCacheFile || DEFAULT_CACHE_FILE)[key];
+    return entry && Date.now() - entry.fetchedAt < ttl ? entry.data : null;
+}
+
+/**
+ * Store a capabilities entry in the cache file
+ * @param {string} key - Cache entry name (e.g., 'languages')
+ * @param {Object} data - Data to store
+ * @param {Object} options - Options object (capabilitiesCacheFile, capabilitiesTtl)
+ * @returns {void}
+ */
+function writeCachedCapabilities(key, data, options = {}) {
+    if ((options.capabilitiesTtl ?? DEFAULT_CACHE_TTL) <= 0) {
+        return;
+    }
+    const cacheFile = options.capabilitiesCacheFile || DEFAULT_CACHE_FILE;
+    try {
+        const cache = readCacheFile(cacheFile);
+        cache[key] = {fetchedAt: Date.now(), data};
+        fs.mkdirSync(path.dirname(path.resolve(cacheFile)), {recursive: true});
+        fs.writeFileSync(cacheFile, JSON.stringify(cache, null, 2), 'utf8');
+    } catch (error) {
+        console.log(`Could not write capabilities cache ${cacheFile}: ${error.message}`);
+    }
+}
+
+/**
+ * Get capabilities from the cache, or scrape and cache them
+ * @param {string} key - Cache entry name (e.g., 'languages')
+ * @param {Object} options - Cache options (capabilitiesCacheFile, capabilitiesTtl, refresh)
+ * @param {Function} scrape - Async function returning the capabilities from the live page, or null if they
+ *   could not be read (null is not cached)
+ * @returns {Promise<Object|null>} Capabilities
+ */
+async function loadCapabilities(key, options, scrape) {
+    const cached = readCachedCapabilities(key, options);
+    if (cached) {
+        return cached;
+    }
+    const data = await scrape();
+    if (data) {
+        writeCachedCapabilities(key, data, options);
+    }
+    return data;
+}
+
+/**
+ * Get capabilities for option validation, or null if they cannot be scraped (validation is then skipped)
+ * @param {string} key - Cache entry name (e.g., 'languages')
+ * @param {Object} options - Cache options (capabilitiesCacheFile, capabilitiesTtl)
+ * @param {Function} scrape - Async function returning the capabilities from the live page
+ * @returns {Promise<Object|null>} Capabilities or null
+ */
+async function loadCapabilitiesForValidation(key, options, scrape) {
+    try {
+        return await loadCapabilities(key, options, scrape);
+    } catch (error) {
+        console.log(`Could not load ${key} capabilities (skipping option validation): ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Find a language in a scraped list by code or display name (case-insensitive), then by a name prefix,
+ * then by the name without its variant (e.g., 'English (US)' finds 'English')
+ * @param {Object[]} languages - Languages ({code, name})
+ * @param {string} wanted - Code or name (e.g., 'es', 'Spanish', 'English')
+ * @returns {Object|null} Matching language or null
+ */
+function findLanguage(languages, wanted) {
+    const lower = String(wanted).trim().toLowerCase();
+    const baseName = lower.replace(/\s*\([^)]*\)$/, '');
+    return languages.find(({code}) => code && code.toLowerCase() === lower)
+        || languages.find(({name}) => name.toLowerCase() === lower)
+        || languages.find(({name}) => name.toLowerCase().startsWith(`${lower} `))
+        || (baseName !== lower && languages.find(({name}) => name.toLowerCase() === baseName))
+        || null;
+}
+
+/**
+ * Resolve a language option against a scraped list
+ * @param {Object[]} languages - Languages ({code, name})
+ * @param {string} wanted - Code or name
+ * @param {string} option - Option name for the error
+ * @returns {Object} Matching language ({code, name})
+ * @throws {InvalidOptionError} If the language is not in the list
+ */
+function resolveLanguage(languages, wanted, option) {
+    const language = findLanguage(languages, wanted);
+    if (!language) {
+        throw new InvalidOptionError(`Unsupported ${option} "${wanted}". Supported: ${languages.map(({name}) => name).join(', ')}`, {
+            option,
+        });
+    }
+    return language;
+}
+
+module.exports = {
+    DEFAULT_CACHE_FILE,
+    readCachedCapabilities,
+    loadCapabilities,
+    loadCapabilitiesForValidation,
+    findLanguage,
+    resolveLanguage,
+};
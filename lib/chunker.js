@@ -0,0 +1,276 @@
+const DEFAULT_LOCALE = 'en';
+const DEFAULT_MAX_WORDS = 125;
+
+// Lowercase abbreviations (without the final period) that do not end a sentence
+const ABBREVIATIONS = new Set([
+    'e.g', 'i.e', 'vs', 'cf', 'al', 'approx', 'fig', 'vol', 'pp',
+    'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'rev', 'gen', 'col', 'capt', 'lt', 'sgt',
+    'inc', 'ltd', 'co', 'corp', 'dept', 'est',
+    'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec',
+]);
+// Abbreviations that are also ordinary words, so they only count before a number (e.g., "No. 5", "p. 12")
+const NUMBER_ABBREVIATIONS = new Set(['no', 'p']);
+// Abbreviations that often end a sentence ("moved to the U.S. The next year"), so they only continue it before a
+// word that does not start a new sentence ("the U.S. economy", "5 p.m. on Monday")
+const SENTENCE_END_ABBREVIATIONS = new Set(['etc', 'u.s', 'u.k', 'a.m', 'p.m']);
+
+// Punctuation after which a long sentence can be split into clauses
+const CLAUSE_BOUNDARY = /(?<=[,;:–—、，；：]\s*)(?=\S)/u;
+
+/**
+ * Count the words in a text using the locale's word segmentation (works for CJK and accented text)
+ * @param {string} text - Text to count
+ * @param {string} locale - BCP 47 locale used for segmentation (default: 'en')
+ * @returns {number} Number of words
+ */
+function countWords(text, locale = DEFAULT_LOCALE) {
+    const segmenter = new Intl.Segmenter(locale, {granularity: 'word'});
+    let count = 0;
+    for (const {isWordLike} of segmenter.segment(text)) {
+        if (isWordLike) count += 1;
+    }
+    return count;
+}
+
+/**
+ * Check whether a sentence segment ends with an abbreviation or an initial rather than a full stop
+ * @param {string} segment - Sentence segment
+ * @param {string} next - Text of the following segment
+ * @returns {boolean} True if the next segment continues the same sentence
+ */
+function endsWithAbbreviation(segment, next) {
+    const match = segment.trimEnd().match(/(?:^|[\s("'“‘])([\p{L}.]+)\.$/u);
+    if (!match) {
+        return false;
+    }
+    const word = match[1];
+    // Single-letter initials such as "J. Smith" follow a capitalized word or start the sentence ("John F. Kennedy"),
+    // or come before another initial ("by J. K. Rowling"); after a lowercase word they end it ("The answer is B.")
+    if (/^\p{Lu}$/u.test(word)) {
+        const previous = segment.slice(0, match.index + match[0].indexOf(word)).trim().split(/\s+/).pop();
+        return !previous || /^[("'“‘]?\p{Lu}/u.test(previous) || /^\s*\p{Lu}\./u.test(next);
+    }
+    const lower = word.toLowerCase();
+    if (NUMBER_ABBREVIATIONS.has(lower)) {
+        return /^\s*\d/.test(next);
+    }
+    if (SENTENCE_END_ABBREVIATIONS.has(lower)) {
+        return !/^\s*[("'“‘]?\p{Lu}/u.test(next);
+    }
+    return ABBREVIATIONS.has(lower);
+}
+
+/**
+ * Split text into sentences, keeping each sentence's trailing whitespace so joining them restores the text
+ * @param {string} text - Text to split
+ * @param {string} locale - BCP 47 locale used for segmentation (default: 'en')
+ * @returns {string[]} Sentences
+ */
+function splitSentences(text, locale = DEFAULT_LOCALE) {
+    const segmenter = new Intl.Segmenter(locale, {granularity: 'sentence'});
+    const segments = Array.from(segmenter.segment(text), ({segment}) => segment);
+    const sentences = [];
+    let pending = '';
+
+    segments.forEach((segment, index) => {
+        pending += segment;
+        if (!endsWithAbbreviation(pending, segments[index + 1] || '')) {
+            sentences.push(pending);
+            pending = '';
+        }
+    });
+    if (pending) {
+        sentences.push(pending);
+    }
+    return sentences;
+}
+
+/**
+ * Split text into word-sized pieces, keeping the whitespace and punctuation attached to each word
+ * @param {string} text - Text to split
+ * @param {string} locale - BCP 47 locale used for segmentation
+ * @returns {string[]} Pieces that each contain at most one word
+ */
+function splitWords(text, locale) {
+    const segmenter = new Intl.Segmenter(locale, {granularity: 'word'});
+    const pieces = [];
+    for (const {segment, isWordLike} of segmenter.segment(text)) {
+        if (isWordLike || pieces.length === 0) {
+            pieces.push(segment);
+        } else {
+            pieces[pieces.length - 1] += segment;
+        }
+    }
+    return pieces;
+}
+
+/**
+ * Greedily join pieces into chunks that stay within the limits
+ * @param {string[]} pieces - Pieces of text in order
+ * @param {Function} exceeds - Function returning true if a text is over the limits
+ * @returns {string[]} Chunks (a single piece over the limits becomes its own chunk)
+ */
+function packPieces(pieces, exceeds) {
+    const chunks = [];
+    let current = '';
+    for (const piece of pieces) {
+        if (current && exceeds(current + piece)) {
+            chunks.push(current);
+            current = '';
+        }
+        current += piece;
+    }
+    if (current) {
+        chunks.push(current);
+    }
+    return chunks;
+}
+
+/**
+ * Break a sentence that is over the limits into clauses, then into words if a clause is still too long
+ * @param {string} sentence - Sentence to break up
+ * @param {Function} exceeds - Function returning true if a text is over the limits
+ * @param {string} locale - BCP 47 locale used for segmentation
+ * @returns {string[]} Pieces that each fit within the limits
+ */
+function splitLongSentence(sentence, exceeds, locale) {
+    const clauses = sentence.split(CLAUSE_BOUNDARY).filter(Boolean);
+    const pieces = [];
+    for (const clause of clauses) {
+        if (exceeds(clause)) {
+            pieces.push(...packPieces(splitWords(clause, locale), exceeds));
+        } else {
+            pieces.push(clause);
+        }
+    }
+    return packPieces(pieces, exceeds);
+}
+
+/**
+ * Split one paragraph into chunks of whole sentences that each stay within the limits
+ * @param {string} text - Paragraph text
+ * @param {Object} limits - Limits object
+ * @param {number} limits.maxWords - Maximum words per chunk
+ * @param {number} limits.maxChars - Maximum characters per chunk
+ * @param {string} locale - BCP 47 locale used for segmentation
+ * @returns {string[]} Trimmed, non-empty chunks in order
+ */
+function chunkSentences(text, {maxWords, maxChars}, locale) {
+    const exceeds = (str) => str.trim().length > maxChars || countWords(str, locale) > maxWords;
+
+    const pieces = [];
+    for (const sentence of splitSentences(text, locale)) {
+        if (exceeds(sentence)) {
+            pieces.push(...splitLongSentence(sentence, exceeds, locale));
+        } else {
+            pieces.push(sentence);
+        }
+    }
+
+    return packPieces(pieces, exceeds)
+        .map((chunk) => chunk.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Split text into paragraphs on line breaks, keeping the line breaks that follow each paragraph
+ * @param {string} text - Text to split
+ * @returns {Object[]} Paragraphs ({text, separator}); separator is '' for the last one, '\n\n' after a blank line
+ */
+function splitParagraphs(text) {
+    const pieces = (text || '').trim().split(/(\s*\n\s*)/);
+    const paragraphs = [];
+    for (let i = 0; i < pieces.length; i += 2) {
+        if (pieces[i]) {
+            paragraphs.push({text: pieces[i], separator: (pieces[i + 1] || '').replace(/[^\n]/g, '')});
+        }
+    }
+    return paragraphs;
+}
+
+/**
+ * Rebuild text from paragraphs, restoring the line breaks between them
+ * @param {Object[]} paragraphs - Paragraphs ({text, separator}) as returned by splitParagraphs
+ * @returns {string} Joined text
+ */
+function joinParagraphs(paragraphs) {
+    return paragraphs.map(({text, separator}) => `${text}${separator}`).join('').trim();
+}
+
+/**
+ * Split text into paragraphs and each paragraph into chunks, so no chunk crosses a paragraph boundary
+ * @param {string} text - Text to split
+ * @param {Object} options - Options object
+ * @param {number} options.maxWords - Maximum words per chunk (default: 125)
+ * @param {number} options.maxChars - Maximum characters per chunk (default: no limit)
+ * @param {string} options.locale - BCP 47 locale used for segmentation (default: 'en')
+ * @returns {Object[]} Paragraphs ({chunks, separator}) in order
+ */
+function chunkParagraphs(text, {maxWords = DEFAULT_MAX_WORDS, maxChars = Infinity, locale = DEFAULT_LOCALE} = {}) {
+    return splitParagraphs(text).map(({text: paragraph, separator}) => ({
+        chunks: chunkSentences(paragraph, {maxWords, maxChars}, locale),
+        separator,
+    }));
+}
+
+/**
+ * Split text into chunks of whole sentences that each stay within the limits and never cross a paragraph
+ * @param {string} text - Text to split
+ * @param {Object} options - Options object
+ * @param {number} options.maxWords - Maximum words per chunk (default: 125)
+ * @param {number} options.maxChars - Maximum characters per chunk (default: no limit)
+ * @param {string} options.locale - BCP 47 locale used for segmentation (default: 'en')
+ * @returns {string[]} Trimmed, non-empty chunks in order
+ */
+function chunkText(text, options = {}) {
+    return chunkParagraphs(text, options).flatMap(({chunks}) => chunks);
+}
+
+/**
+ * Split text into parts that are verbatim slices of it, packing consecutive paragraphs into one part while the part
+ * stays within the limits. Only a paragraph that is over the limits on its own is split, on sentence boundaries.
+ * Suits tools that judge a text as a whole (summaries, AI detection), where a part per paragraph would be too short.
+ * @param {string} text - Text to split
+ * @param {Object} options - Options object
+ * @param {number} options.maxWords - Maximum words per part (default: 125)
+ * @param {number} options.maxChars - Maximum characters per part (default: no limit)
+ * @param {string} options.locale - BCP 47 locale used for segmentation (default: 'en')
+ * @returns {string[]} Non-empty parts in order, each a slice of the text with its line breaks
+ */
+function packParagraphs(text, {maxWords = DEFAULT_MAX_WORDS, maxChars = Infinity, locale = DEFAULT_LOCALE} = {}) {
+    // Paragraphs and their chunks are verbatim pieces of the text, so they can be located in order
+    const units = [];
+    let cursor = 0;
+    chunkParagraphs(text, {maxWords, maxChars, locale}).forEach(({chunks}) => chunks.forEach((chunk) => {
+        const start = text.indexOf(chunk, cursor);
+        cursor = start + chunk.length;
+        units.push({start, end: cursor, words: countWords(chunk, locale)});
+    }));
+
+    // Chunks of one paragraph are merged back here whenever the paragraph fits after all
+    const parts = [];
+    let current = null;
+    for (const unit of units) {
+        if (current && (current.words + unit.words > maxWords || unit.end - current.start > maxChars)) {
+            parts.push(text.slice(current.start, current.end));
+            current = null;
+        }
+        current = current
+            ? {start: current.start, end: unit.end, words: current.words + unit.words}
+            : {...unit};
+    }
+    if (current) {
+        parts.push(text.slice(current.start, current.end));
+    }
+    return parts;
+}
+
+module.exports = {
+    countWords,
+    splitSentences,
+    splitParagraphs,
+    joinParagraphs,
+    chunkParagraphs,
+    chunkText,
+    packParagraphs,
+};
@@ -0,0 +1,497 @@
+const {
+    InvalidOptionError,
+    SelectorNotFoundError,
+    SubmissionTimeoutError,
+    OutputEmptyError,
+    toQuillBotError,
+} = require('./errors');
+const {assertWithinQuota} = require('./quota');
+const {
+    safePageOperation,
+    saveHTMLForDebug,
+    navigateToUrl,
+    waitForPageInitialization,
+    closeModalIfPresent,
+    findVisibleSelector,
+    wait,
+} = require('./utils');
+
+const CITATION_GENERATOR_URL = 'https://quillbot.com/citation-generator';
+// Citation styles keyed by option value, with the text shown in the style menu
+const CITATION_STYLES = {
+    apa: 'APA 7th edition',
+    mla: 'MLA 9th edition',
+    chicago: 'Chicago (author-date)',
+    'chicago-notes': 'Chicago (notes and bibliography)',
+    harvard: 'Harvard',
+    ieee: 'IEEE',
+    ama: 'AMA',
+    vancouver: 'Vancouver',
+};
+// Source types for manual citations, with the text shown in the source type menu
+const SOURCE_TYPES = {
+    website: 'Website',
+    book: 'Book',
+    'journal-article': 'Journal article',
+    'news-article': 'News article',
+    video: 'Video',
+    report: 'Report',
+};
+// Manual citation fields, with the form labels they can have
+const SOURCE_FIELDS = {
+    title: ['Title', 'Page title', 'Article title', 'Book title'],
+    containerTitle: ['Website name', 'Journal name', 'Publication name', 'Newspaper name', 'Channel'],
+    publisher: ['Publisher'],
+    date: ['Publication date', 'Date published', 'Year'],
+    accessed: ['Access date', 'Date accessed'],
+    url: ['URL'],
+    doi: ['DOI'],
+    volume: ['Volume'],
+    issue: ['Issue'],
+    pages: ['Pages', 'Page range'],
+    edition: ['Edition'],
+};
+const DOI_PATTERN = /^(?:doi:\s*|https?:\/\/(?:dx\.)?doi\.org\/)?(10\.\d{4,9}\/\S+)$/i;
+// Known working selectors first for speed
+const SEARCH_INPUT_SELECTORS = [
+    '[data-testid="citation-search-input"]',
+    '[data-testid*="citation" i] input[type="text"]',
+    'input[placeholder*="URL" i]',
+    'input[placeholder*="search" i]',
+];
+const STYLE_MENU_SELECTORS = [
+    '[data-testid="citation-style-selector"]',
+    '[data-testid*="citation-style" i]',
+    'button[aria-label*="citation style" i]',
+    '[role="combobox"][aria-label*="style" i]',
+];
+const BIBLIOGRAPHY_ENTRY_SELECTORS = [
+    '[data-testid="citation-list-item"]',
+    '[data-testid*="bibliography" i] li',
+    '[class*="bibliography" i] li',
+    '[class*="citationList" i] > div',
+];
+const IN_TEXT_SELECTORS = [
+    '[data-testid*="in-text" i]',
+    '[class*="inText" i]',
+    '[class*="in-text" i]',
+];
+// Attribute used to find a form field again between page calls
+const FIELD_MARKER = 'data-quillbot-api-field';
+const SUBMIT_TIMEOUT = 30000;
+
+/**
+ * Element check function for the citation generator page
+ * @returns {boolean} True if the search field is present
+ */
+function citationGeneratorElementCheck() {
+    const selectors = [
+        '[data-testid="citation-search-input"]',
+        '[data-testid*="citation" i] input[type="text"]',
+        'input[placeholder*="URL" i]',
+        'input[placeholder*="search" i]',
+    ];
+    return selectors.some((selector) => {
+        const element = document.querySelector(selector);
+        return element && element.offsetParent !== null;
+    });
+}
+
+/**
+ * Load the citation generator in a page and get it ready for input
+ * @param {Object} page - Puppeteer page object
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<void>}
+ */
+async function initializeCitationGeneratorPage(page, isDev) {
+    console.log('Navigating to QuillBot Citation Generator...');
+    await navigateToUrl(page, CITATION_GENERATOR_URL);
+    await waitForPageInitialization(page, citationGeneratorElementCheck);
+    await saveHTMLForDebug(page, 'citation-initial-load.html', isDev);
+    await closeModalIfPresent(page);
+}
+
+/**
+ * Check the citation style option
+ * @param {string} style - Style name (e.g., 'apa', 'MLA', 'chicago')
+ * @returns {string} Style key in CITATION_STYLES
+ * @throws {InvalidOptionError} If the style is not supported
+ */
+function validateCitationStyle(style = 'apa') {
+    const key = String(style).trim().toLowerCase();
+    if (!CITATION_STYLES[key]) {
+        throw new InvalidOptionError(`Unknown citation style "${style}". Available styles: ${Object.keys(CITATION_STYLES).join(', ')}`, {
+            option: 'style',
+        });
+    }
+    return key;
+}
+
+/**
+ * Work out what kind of source was given and check manual fields
+ * @param {string|Object} source - URL, DOI, or manual fields ({type, title, authors, ...})
+ * @returns {Object} Parsed source: {kind: 'url'|'doi', value} or {kind: 'manual', type, authors, fields}
+ * @throws {InvalidOptionError} If the source is empty or has unknown fields
+ */
+function parseCitationSource(source) {
+    if (typeof source === 'string') {
+        const value = source.trim();
+        const doi = value.match(DOI_PATTERN);
+        if (doi) {
+            return {kind: 'doi', value: doi[1]};
+        }
+        if (/^https?:\/\/\S+$/i.test(value)) {
+            return {kind: 'url', value};
+        }
+        throw new InvalidOptionError('source must be a URL, a DOI or an object of citation fields', {option: 'source'});
+    }
+    if (typeof source !== 'object' || source === null || Array.isArray(source)) {
+        throw new InvalidOptionError('source must be a URL, a DOI or an object of citation fields', {option: 'source'});
+    }
+
+    const {type = 'website', authors = [], ...rest} = source;
+    if (!SOURCE_TYPES[type]) {
+        throw new InvalidOptionError(`Unknown source type "${type}". Available types: ${Object.keys(SOURCE_TYPES).join(', ')}`, {
+            option: 'source.type',
+        });
+    }
+    if (!Array.isArray(authors) || authors.some((author) => typeof author !== 'string' || !author.trim())) {
+        throw new InvalidOptionError('source.authors must be an array of names', {option: 'source.authors'});
+    }
+    const fields = {};
+    for (const [key, value] of Object.entries(rest)) {
+        if (!SOURCE_FIELDS[key]) {
+            throw new InvalidOptionError(`Unknown citation field "${key}". Available fields: type, authors, ${Object.keys(SOURCE_FIELDS).join(', ')}`, {
+                option: `source.${key}`,
+            });
+        }
+        fields[key] = String(value);
+    }
+    if (!fields.title) {
+        throw new InvalidOptionError('Manual citations need a title', {option: 'source.title'});
+    }
+    return {
+        kind: 'manual',
+        type,
+        authors: authors.map((author) => author.trim()),
+        fields,
+    };
+}
+
+/**
+ * Click the first visible button or menu option whose text matches
+ * @param {Object} page - Puppeteer page object
+ * @param {string} pattern - Case-insensitive regular expression source matched against the trimmed text
+ * @param {string} scope - CSS selector for the elements to search
+ * @returns {Promise<boolean>} True if an element was clicked
+ */
+async function clickByText(page, pattern, scope = 'button, [role="button"], [role="option"], [role="menuitem"], li') {
+    return safePageOperation(async () => page.evaluate((source, selector) => {
+        const regex = new RegExp(source, 'i');
+        const element = Array.from(document.querySelectorAll(selector))
+            .filter((el) => el.getClientRects().length > 0)
+            .find((el) => regex.test((el.textContent || '').replace(/\s+/g, ' ').trim()));
+        if (element) element.click();
+        return Boolean(element);
+    }, pattern, scope), 2, page);
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Select a citation style in the style menu
+ * @param {Object} page - Puppeteer page object
+ * @param {string} style - Style key in CITATION_STYLES
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<void>}
+ * @throws {SelectorNotFoundError} If the style menu or the style cannot be found
+ */
+async function selectCitationStyle(page, style, isDev) {
+    const label = CITATION_STYLES[style];
+    const menuSelector = await findVisibleSelector(page, STYLE_MENU_SELECTORS);
+    if (!menuSelector) {
+        const debugFile = await saveHTMLForDebug(page, 'citation-style-menu-not-found.html', isDev);
+        throw new SelectorNotFoundError('Citation style menu not found', {selector: STYLE_MENU_SELECTORS.join(', '), debugFile});
+    }
+
+    const current = await safePageOperation(async () => page.$eval(menuSelector, (el) => (el.textContent || '').trim()));
+    if (current.toLowerCase().includes(label.toLowerCase())) {
+        return;
+    }
+
+    await safePageOperation(async () => page.click(menuSelector));
+    await wait(500);
+    if (!await clickByText(page, `^${escapeRegExp(label)}`)) {
+        await safePageOperation(async () => page.keyboard.press('Escape'));
+        const debugFile = await saveHTMLForDebug(page, 'citation-style-not-found.html', isDev);
+        throw new SelectorNotFoundError(`Citation style "${label}" not found in the style menu`, {selector: menuSelector, debugFile});
+    }
+    console.log(`Citation style set to "${label}".`);
+    await wait(500);
+}
+
+/**
+ * Type a value into the nth visible form field with one of the given labels
+ * @param {Object} page - Puppeteer page object
+ * @param {string[]} labels - Label or placeholder texts of the field
+ * @param {string} value - Value to type
+ * @param {number} nth - 0-based index among the matching fields (e.g., for the second author)
+ * @returns {Promise<boolean>} True if the field was found and filled
+ */
+async function fillFieldByLabel(page, labels, value, nth = 0) {
+    const marker = `${labels[0]}-${nth}`;
+    const found = await safePageOperation(async () => page.evaluate((markerName, markerValue, labelTexts, index) => {
+        const normalize = (text) => (text || '').replace(/[*:]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+        const wanted = labelTexts.map(normalize);
+        const fields = Array.from(document.querySelectorAll('input, textarea'))
+            .filter((el) => el.getClientRects().length > 0)
+            .filter((el) => {
+                const label = (el.id && document.querySelector(`label[for="${el.id}"]`)) || el.closest('label');
+                const names = [el.placeholder, el.getAttribute('aria-label'), label && label.textContent].map(normalize);
+                return names.some((name) => wanted.includes(name));
+            });
+        const field = fields[index];
+        if (field) field.setAttribute(markerName, markerValue);
+        return Boolean(field);
+    }, FIELD_MARKER, marker, labels, nth), 2, page);
+    if (!found) {
+        return false;
+    }
+
+    const selector = `[${FIELD_MARKER}="${marker}"]`;
+    await safePageOperation(async () => {
+        await page.click(selector, {clickCount: 3});
+        await page.keyboard.press('Backspace');
+        await page.type(selector, value, {delay: 10});
+    });
+    return true;
+}
+
+/**
+ * Fill in the manual citation form
+ * @param {Object} page - Puppeteer page object
+ * @param {Object} source - Parsed manual source ({type, authors, fields})
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<string[]>} Fields that could not be found on the form
+ * @throws {SelectorNotFoundError} If the manual citation form cannot be opened
+ */
+async function fillManualCitation(page, source, isDev) {
+    if (!await clickByText(page, '^cite manually')) {
+        const debugFile = await saveHTMLForDebug(page, 'citation-manual-button-not-found.html', isDev);
+        throw new SelectorNotFoundError('"Cite manually" button not found', {debugFile});
+    }
+    await wait(800);
+
+    // The source type menu is the first combobox of the form
+    if (await clickByText(page, '^(source type|website|book|journal article)$', '[role="combobox"], button')) {
+        await wait(300);
+        await clickByText(page, `^${escapeRegExp(SOURCE_TYPES[source.type])}$`);
+        await wait(500);
+    }
+
+    const missing = [];
+    for (let i = 0; i < source.authors.length; i += 1) {
+        if (i > 0) {
+            await clickByText(page, '^\\+?\\s*add (contributor|author)');
+            await wait(300);
+        }
+        // Names are split into first and last name at the last space
+        const name = source.authors[i];
+        const split = name.lastIndexOf(' ');
+        const first = split === -1 ? '' : name.slice(0, split);
+        const last = split === -1 ? name : name.slice(split + 1);
+        const isFilled = await fillFieldByLabel(page, ['Last name', 'Surname'], last, i);
+        if (first) {
+            await fillFieldByLabel(page, ['First name', 'Given name'], first, i);
+        }
+        if (!isFilled) {
+            missing.push(`authors[${i}]`);
+        }
+    }
+    for (const [key, value] of Object.entries(source.fields)) {
+        if (!await fillFieldByLabel(page, SOURCE_FIELDS[key], value)) {
+            missing.push(key);
+        }
+    }
+    await saveHTMLForDebug(page, 'citation-manual-form.html', isDev);
+    return missing;
+}
+
+/**
+ * Search for a URL or DOI and open the first match in the citation form
+ * @param {Object} page - Puppeteer page object
+ * @param {string} query - URL or DOI
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<void>}
+ * @throws {SelectorNotFoundError} If the search field cannot be found
+ */
+async function searchCitationSource(page, query, isDev) {
+    const searchSelector = await findVisibleSelector(page, SEARCH_INPUT_SELECTORS);
+    if (!searchSelector) {
+        const debugFile = await saveHTMLForDebug(page, 'citation-search-not-found.html', isDev);
+        throw new SelectorNotFoundError('Citation search field not found', {selector: SEARCH_INPUT_SELECTORS.join(', '), debugFile});
+    }
+
+    await safePageOperation(async () => {
+        await page.click(searchSelector, {clickCount: 3});
+        await page.keyboard.press('Backspace');
+        await page.type(searchSelector, query, {delay: 10});
+        await page.keyboard.press('Enter');
+    });
+    await wait(3000);
+
+    // Searches can list several matches, each with its own "Cite" button
+    if (await clickByText(page, '^cite$')) {
+        console.log('Picked the first search result.');
+        await wait(1500);
+    }
+}
+
+/**
+ * Read the bibliography entries and their in-text citations, all from the first entry selector that matches
+ * @param {Object} page - Puppeteer page object
+ * @returns {Promise<Object[]>} Entries ({key, reference, inText}) in page order; key is the entry's full text,
+ *   inText is null if the page does not show one
+ */
+async function readBibliography(page) {
+    return safePageOperation(async () => page.evaluate((entrySelectors, inTextSelectors) => {
+        const clean = (el) => (el ? (el.innerText || el.textContent || '') : '').replace(/\s+/g, ' ').trim();
+        const entries = entrySelectors
+            .map((selector) => Array.from(document.querySelectorAll(selector)))
+            .find((found) => found.length > 0) || [];
+
+        return entries.map((entry) => {
+            const inTextElement = inTextSelectors.map((selector) => entry.querySelector(selector)).find(Boolean)
+                || inTextSelectors.map((selector) => document.querySelector(selector)).find(Boolean);
+            const inText = clean(inTextElement).replace(/^in-text citation:?\s*/i, '') || null;
+            // Leave the in-text citation and any buttons out of the reference text
+            const copy = entry.cloneNode(true);
+            copy.querySelectorAll(`button, [role="button"], ${inTextSelectors.join(', ')}`).forEach((el) => el.remove());
+            return {key: clean(entry), reference: clean(copy) || null, inText};
+        });
+    }, BIBLIOGRAPHY_ENTRY_SELECTORS, IN_TEXT_SELECTORS), 2, page);
+}
+
+/**
+ * Find the bibliography entries that were not there before.
+ * Styles such as APA and MLA sort the bibliography alphabetically, so a new entry can be anywhere in the list.
+ * @param {Object[]} entries - Current entries ({key, ...})
+ * @param {string[]} previousKeys - Keys of the entries before the citation was added
+ * @returns {Object[]} New entries in page order
+ */
+function findNewEntries(entries, previousKeys) {
+    const remaining = [...previousKeys];
+    return entries.filter(({key}) => {
+        const index = remaining.indexOf(key);
+        if (index === -1) {
+            return true;
+        }
+        remaining.splice(index, 1);
+        return false;
+    });
+}
+
+/**
+ * Wait for a new entry to appear in the bibliography
+ * @param {Object} page - Puppeteer page object
+ * @param {string[]} previousKeys - Keys of the entries before the citation was added
+ * @returns {Promise<Object|null>} The new entry ({key, reference, inText}), or null if none appeared in time
+ */
+async function waitForNewCitation(page, previousKeys) {
+    const startedAt = Date.now();
+    while (Date.now() - startedAt < SUBMIT_TIMEOUT) {
+        const [added] = findNewEntries(await readBibliography(page), previousKeys);
+        if (added) {
+            return added;
+        }
+        await wait(500);
+    }
+    return null;
+}
+
+/**
+ * Generate a citation on a page that already has the citation generator loaded
+ * @param {Object} page - Puppeteer page prepared by initializeCitationGeneratorPage
+ * @param {string|Object} source - URL, DOI, or manual fields ({type, title, authors, containerTitle, publisher, date,
+ *   accessed, url, doi, volume, issue, pages, edition})
+ * @param {Object} options - Options object
+ * @param {string} options.style - Citation style: 'apa', 'mla', 'chicago', 'chicago-notes', 'harvard', 'ieee', 'ama'
+ *   or 'vancouver' (default: 'apa')
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<Object>} Citation ({style, source, inText, reference, warnings}); inText is null if the page does not
+ *   show one
+ * @throws {QuillBotError} If any step of the citation fails
+ */
+async function citeOnPage(page, source, options = {}, isDev = false) {
+    const style = validateCitationStyle(options.style);
+    const parsed = parseCitationSource(source);
+    const warnings = [];
+
+    try {
+        await selectCitationStyle(page, style, isDev);
+        const previousKeys = (await readBibliography(page)).map(({key}) => key);
+
+        if (parsed.kind === 'manual') {
+            const missing = await fillManualCitation(page, parsed, isDev);
+            missing.forEach((field) => warnings.push(`Citation field "${field}" was not found on the form`));
+        } else {
+            await searchCitationSource(page, parsed.value, isDev);
+        }
+        await assertWithinQuota(page, {isDev, debugName: 'citation'});
+
+        // The citation form is saved with "Add to bibliography" (or "Save"/"Done" in some layouts).
+        // "Cite" is left out: it picks a search result, and clicking it again could add a second one.
+        if (!await clickByText(page, '^(add to bibliography|save|done)$')) {
+            console.log('Save button not found (waiting for the citation to be added).');
+        }
+        if (!await waitForNewCitation(page, previousKeys)) {
+            const debugFile = await saveHTMLForDebug(page, 'citation-timeout.html', isDev);
+            throw new SubmissionTimeoutError('Citation was not added to the bibliography in the expected time', {
+                selector: BIBLIOGRAPHY_ENTRY_SELECTORS.join(', '),
+                debugFile,
+            });
+        }
+        // Let the entry finish rendering before it is read
+        await wait(1000);
+
+        const [added] = findNewEntries(await readBibliography(page), previousKeys);
+        const {reference, inText} = added || {reference: null, inText: null};
+        await saveHTMLForDebug(page, 'citation-added.html', isDev);
+        if (!reference) {
+            const debugFile = await saveHTMLForDebug(page, 'citation-no-output.html', isDev);
+            throw new OutputEmptyError('Citation not found in the bibliography', {
+                selector: BIBLIOGRAPHY_ENTRY_SELECTORS.join(', '),
+                debugFile,
+            });
+        }
+        if (!inText) {
+            warnings.push('The page did not show an in-text citation');
+        }
+
+        console.log('Citation complete');
+        return {
+            style,
+            source: parsed,
+            inText,
+            reference,
+            warnings,
+        };
+    } catch (error) {
+        const debugFile = await saveHTMLForDebug(page, 'citation-error.html', isDev);
+        console.error(`Error generating citation: ${error.message}`);
+        throw toQuillBotError(error, {debugFile});
+    }
+}
+
+module.exports = {
+    CITATION_STYLES,
+    initializeCitationGeneratorPage,
+    citeOnPage,
+};
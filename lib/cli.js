@@ -0,0 +1,525 @@
+const fs = require('fs');
+const path = require('path');
+const {format, parseArgs} = require('util');
+
+const {version} = require('../package.json');
+
+const {QuillBotClient} = require('./client');
+const {
+    BrowserCrashedError,
+    FeatureNotAvailableError,
+    InvalidOptionError,
+    LoginFailedError,
+    OutputEmptyError,
+    QuotaExceededError,
+    SelectorNotFoundError,
+    SubmissionTimeoutError,
+} = require('./errors');
+const {QuillBotServer} = require('./server');
+
+const EXIT_CODES = {
+    ok: 0,
+    failure: 1, // Any other error
+    usage: 2, // Unknown command or flag, missing input, or an option QuillBot rejected
+    io: 3, // An input file could not be read or an output file could not be written
+    quota: 4, // QuillBot usage limit reached
+    account: 5, // Login failed or the feature is not available to the account
+    page: 6, // An element was missing, the result timed out or the output was empty
+    browser: 7, // The browser crashed or was closed
+};
+// Checked in order, so subclasses must come before their parents
+const ERROR_EXIT_CODES = [
+    [InvalidOptionError, EXIT_CODES.usage],
+    [QuotaExceededError, EXIT_CODES.quota],
+    [LoginFailedError, EXIT_CODES.account],
+    [FeatureNotAvailableError, EXIT_CODES.account],
+    [SelectorNotFoundError, EXIT_CODES.page],
+    [SubmissionTimeoutError, EXIT_CODES.page],
+    [OutputEmptyError, EXIT_CODES.page],
+    [BrowserCrashedError, EXIT_CODES.browser],
+];
+// Failures that would repeat for every remaining input
+const FATAL_EXIT_CODES = [EXIT_CODES.usage, EXIT_CODES.quota, EXIT_CODES.account, EXIT_CODES.browser];
+const SYNONYMS_LEVELS = ['0', '50', '100'];
+const GLOB_CHARACTERS = /[*?[]/;
+const FLAGS = {
+    mode: {type: 'string', short: 'm'},
+    language: {type: 'string', short: 'l'},
+    synonyms: {type: 'string', short: 's'},
+    source: {type: 'string'},
+    target: {type: 'string', short: 't', multiple: true},
+    tone: {type: 'string'},
+    port: {type: 'string', short: 'p'},
+    host: {type: 'string'},
+    concurrency: {type: 'string', short: 'c'},
+    headless: {type: 'boolean'},
+    write: {type: 'boolean', short: 'w'},
+    verbose: {type: 'boolean', short: 'v'},
+    help: {type: 'boolean', short: 'h'},
+    version: {type: 'boolean'},
+};
+const COMMON_FLAGS = ['headless', 'write', 'verbose', 'help', 'version'];
+const USAGE = `Usage: quillbot <command> [flags] [file or glob ...]
+
+Commands:
+  paraphrase              Paraphrase text
+  translate               Translate text
+  serve                   Run an HTTP server for paraphrasing and translation jobs
+
+Paraphrase flags:
+  -m, --mode <mode>       Paraphrasing mode (e.g., Standard, Fluency, Formal)
+  -l, --language <name>   Paraphrasing language (e.g., 'English (AU)')
+  -s, --synonyms <level>  Synonyms level: 0, 50 or 100
+
+Translate flags:
+  --source <language>     Source language (default: auto-detect)
+  -t, --target <language> Target language, repeat or separate with commas for several
+  --tone <tone>           Translation tone: auto, formal or informal
+
+Serve flags:
+  -p, --port <port>       Port to listen on (default: 3000)
+  --host <address>        Address to listen on (default: 127.0.0.1)
+  -c, --concurrency <n>   Jobs run in parallel on the shared browser (default: 2)
+
+Common flags:
+  --headless              Run the browser without a window
+  -w, --write             Write each result next to its input file instead of to stdout (not for serve)
+  -v, --verbose           Print progress to stderr
+  -h, --help              Show this help
+  --version               Show the version
+
+Input is read from stdin when no files are given (or for "-"). Quote globs
+(e.g., 'docs/**/*.txt') to expand them here instead of in the shell.
+
+Exit codes:
+  0  Success
+  1  Other error
+  2  Usage error or option rejected by QuillBot
+  3  Input file not readable or output file not writable
+  4  QuillBot usage limit reached
+  5  Login failed or feature not available to the account
+  6  Page element missing, result timed out or output empty
+  7  Browser crashed or closed
+`;
+
+/**
+ * Create an error that ends the CLI with a given exit code
+ * @param {string} message - Error message
+ * @param {number} exitCode - Exit code (see EXIT_CODES)
+ * @returns {Error} The error
+ */
+function cliError(message, exitCode) {
+    return Object.assign(new Error(message), {exitCode});
+}
+
+/**
+ * Get the exit code for an error
+ * @param {Error} error - Error thrown by the CLI or the client
+ * @returns {number} Exit code (see EXIT_CODES)
+ */
+function getExitCode(error) {
+    if (error.exitCode !== undefined) {
+        return error.exitCode;
+    }
+    // Translation failures are serialized errors, so they are matched by name
+    const match = ERROR_EXIT_CODES.find(([ErrorClass]) => (
+        error instanceof ErrorClass || error.name === ErrorClass.name
+    ));
+    return match ? match[1] : EXIT_CODES.failure;
+}
+
+/**
+ * Build the paraphrasing options from the flags
+ * @param {Object} values - Parsed flags
+ * @returns {Object} Options for QuillBotClient.paraphrase
+ * @throws {Error} If --synonyms is not a slider level (exit code usage)
+ */
+function buildParaphraseOptions(values) {
+    if (values.synonyms !== undefined && !SYNONYMS_LEVELS.includes(values.synonyms)) {
+        throw cliError(`--synonyms must be one of ${SYNONYMS_LEVELS.join(', ')}`, EXIT_CODES.usage);
+    }
+    return {mode: values.mode, language: values.language, synonymsLevel: values.synonyms};
+}
+
+/**
+ * Paraphrase text and name the result for the output file
+ * @param {Object} client - QuillBotClient
+ * @param {string} text - Input text
+ * @param {Object} options - Paraphrasing options
+ * @returns {Promise<Object>} Outputs ({label, text}) and the first failure, if any ({outputs, error})
+ */
+async function paraphraseCommand(client, text, options) {
+    const paraphrased = await client.paraphrase(text, options);
+    return {outputs: [{label: 'paraphrased', text: paraphrased}], error: null};
+}
+
+/**
+ * Build the translation options from the flags; targets are always passed as targetLanguages,
+ * so every result is named by its language code
+ * @param {Object} values - Parsed flags
+ * @returns {Object} Options for QuillBotClient.translate
+ * @throws {Error} If there is no --target (exit code usage)
+ */
+function buildTranslateOptions(values) {
+    const targetLanguages = (values.target || [])
+        .flatMap((target) => target.split(','))
+        .map((target) => target.trim())
+        .filter(Boolean);
+    if (targetLanguages.length === 0) {
+        throw cliError('translate needs at least one --target language', EXIT_CODES.usage);
+    }
+    return {sourceLanguage: values.source, targetLanguages, tone: values.tone};
+}
+
+/**
+ * Translate text into every target language and name each result by its language code
+ * @param {Object} client - QuillBotClient
+ * @param {string} text - Input text
+ * @param {Object} options - Translation options
+ * @returns {Promise<Object>} Outputs ({label, text}) and the first failed language's error, if any ({outputs, error})
+ */
+async function translateCommand(client, text, options) {
+    const {translations, failures} = await client.translate(text, options);
+    return {
+        outputs: Object.entries(translations).map(([code, translation]) => ({label: code, text: translation})),
+        error: Object.values(failures)[0] || null,
+    };
+}
+
+/**
+ * Build the server options from the flags
+ * @param {Object} values - Parsed flags
+ * @returns {Object} Options for QuillBotServer
+ * @throws {Error} If --port or --concurrency is not a whole number in range (exit code usage)
+ */
+function buildServeOptions(values) {
+    const port = values.port === undefined ? undefined : Number(values.port);
+    if (port !== undefined && !(Number.isInteger(port) && port >= 0 && port <= 65535)) {
+        throw cliError('--port must be a whole number from 0 to 65535', EXIT_CODES.usage);
+    }
+    const concurrency = values.concurrency === undefined ? undefined : Number(values.concurrency);
+    if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency > 0)) {
+        throw cliError('--concurrency must be a whole number above 0', EXIT_CODES.usage);
+    }
+    return {port, host: values.host, concurrency};
+}
+
+const COMMANDS = {
+    paraphrase: {flags: ['mode', 'language', 'synonyms'], buildOptions: buildParaphraseOptions, run: paraphraseCommand},
+    translate: {flags: ['source', 'target', 'tone'], buildOptions: buildTranslateOptions, run: translateCommand},
+    serve: {flags: ['port', 'host', 'concurrency'], buildOptions: buildServeOptions},
+};
+
+/**
+ * Turn one path segment of a glob into a regular expression (*, ? and [...] classes)
+ * @param {string} segment - Glob segment without slashes
+ * @returns {RegExp} Expression matching whole file names
+ */
+function globSegmentToRegExp(segment) {
+    const source = segment
+        .replace(/[.+^${}()|\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * List a directory, or nothing if it cannot be read
+ * @param {string} dir - Directory path
+ * @returns {Object[]} Directory entries (fs.Dirent)
+ */
+function readEntries(dir) {
+    try {
+        return fs.readdirSync(dir, {withFileTypes: true});
+    } catch (_error) {
+        return [];
+    }
+}
+
+/**
+ * Find the files matching a glob. Supports *, ?, [...] and ** for any number of directories;
+ * hidden files and directories only match segments that start with a dot.
+ * @param {string} pattern - Glob (e.g., 'docs/**\/*.txt')
+ * @returns {string[]} Matching file paths, sorted
+ */
+function expandGlob(pattern) {
+    const segments = pattern.split(/[\\/]+/);
+    const firstGlob = segments.findIndex((segment) => GLOB_CHARACTERS.test(segment));
+    const base = segments.slice(0, firstGlob).join('/') || (path.isAbsolute(pattern) ? '/' : '.');
+    const matches = new Set();
+
+    const walk = (dir, rest) => {
+        const [segment, ...remaining] = rest;
+        const entries = readEntries(dir).filter(({name}) => !name.startsWith('.') || segment.startsWith('.'));
+        if (segment === '**') {
+            walk(dir, remaining.length > 0 ? remaining : ['*']);
+            entries.filter((entry) => entry.isDirectory()).forEach(({name}) => walk(path.join(dir, name), rest));
+            return;
+        }
+
+        const matcher = globSegmentToRegExp(segment);
+        entries.filter(({name}) => matcher.test(name)).forEach((entry) => {
+            const entryPath = path.join(dir, entry.name);
+            if (remaining.length === 0) {
+                if (entry.isFile()) matches.add(entryPath);
+            } else if (entry.isDirectory()) {
+                walk(entryPath, remaining);
+            }
+        });
+    };
+    walk(base, segments.slice(firstGlob));
+    return Array.from(matches).sort();
+}
+
+/**
+ * Expand the input arguments into files, with '-' standing for stdin
+ * @param {string[]} args - File paths, globs or '-'
+ * @returns {string[]} Inputs in argument order
+ * @throws {Error} If a glob matches no files (exit code io)
+ */
+function expandInputs(args) {
+    if (args.length === 0) {
+        return ['-'];
+    }
+    return args.flatMap((arg) => {
+        if (arg === '-' || !GLOB_CHARACTERS.test(arg) || fs.existsSync(arg)) {
+            return [arg];
+        }
+        const files = expandGlob(arg);
+        if (files.length === 0) {
+            throw cliError(`No files match ${arg}`, EXIT_CODES.io);
+        }
+        return files;
+    });
+}
+
+/**
+ * Read all of stdin
+ * @returns {Promise<string>} Text piped into the CLI
+ */
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Read an input file
+ * @param {string} input - File path or '-' for stdin
+ * @returns {Promise<string>} Input text
+ * @throws {Error} If the file cannot be read (exit code io)
+ */
+async function readInput(input) {
+    if (input === '-') {
+        return readStdin();
+    }
+    try {
+        return fs.readFileSync(input, 'utf8');
+    } catch (error) {
+        throw cliError(`Cannot read ${input}: ${error.message}`, EXIT_CODES.io);
+    }
+}
+
+/**
+ * Path of the file a result is written to, next to its input (e.g., notes.txt -> notes.es.txt)
+ * @param {string} input - Input file path
+ * @param {string} label - Result label ('paraphrased' or a language code)
+ * @returns {string} Output file path
+ */
+function getOutputPath(input, label) {
+    const {dir, name, ext} = path.parse(input);
+    return path.join(dir, `${name}.${label}${ext}`);
+}
+
+/**
+ * Write a result to its output file, or to stdout with a header when there are several results
+ * @param {string} input - Input file path or '-'
+ * @param {Object} output - Result ({label, text})
+ * @param {Object} settings - Output settings ({write, withHeaders})
+ * @returns {void}
+ * @throws {Error} If the output file cannot be written (exit code io)
+ */
+function writeOutput(input, output, {write, withHeaders}) {
+    if (write) {
+        const outputPath = getOutputPath(input, output.label);
+        try {
+            fs.writeFileSync(outputPath, output.text, 'utf8');
+        } catch (error) {
+            throw cliError(`Cannot write ${outputPath}: ${error.message}`, EXIT_CODES.io);
+        }
+        process.stderr.write(`Wrote ${outputPath}\n`);
+        return;
+    }
+    if (withHeaders) {
+        process.stdout.write(`==> ${input === '-' ? 'stdin' : input} [${output.label}] <==\n`);
+    }
+    process.stdout.write(output.text.endsWith('\n') ? output.text : `${output.text}\n`);
+}
+
+/**
+ * Send the library's progress logs to stderr (verbose) or drop them, so stdout only carries results.
+ * console.error is left alone: it already writes to stderr, and errors (e.g., a server's failed requests) must
+ * show without --verbose.
+ * @param {boolean} verbose - Whether to keep the logs
+ * @returns {Function} Function restoring the console
+ */
+function redirectLibraryLogs(verbose) {
+    const original = {log: console.log, warn: console.warn};
+    const log = verbose ? (...args) => process.stderr.write(`${format(...args)}\n`) : () => {};
+    Object.assign(console, {log, warn: log});
+    return () => Object.assign(console, original);
+}
+
+/**
+ * Parse the command line
+ * @param {string[]} argv - Arguments after the executable and script
+ * @returns {Object} Parsed command ({command, values, inputs, options}); command is null for --help and --version
+ * @throws {Error} If the command or a flag is unknown, belongs to the other command or has a bad value (exit code usage)
+ */
+function parseCommandLine(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({args: argv, options: FLAGS, allowPositionals: true});
+    } catch (error) {
+        throw cliError(error.message, EXIT_CODES.usage);
+    }
+    const {values, positionals} = parsed;
+    if (values.help || values.version) {
+        return {
+            command: null, values, inputs: [], options: {},
+        };
+    }
+
+    const [command, ...inputs] = positionals;
+    if (!COMMANDS[command]) {
+        throw cliError(command ? `Unknown command "${command}"` : 'Missing command', EXIT_CODES.usage);
+    }
+    if (command === 'serve' && inputs.length > 0) {
+        throw cliError('serve does not take input files', EXIT_CODES.usage);
+    }
+    const foreign = Object.keys(values).find((flag) => !COMMON_FLAGS.includes(flag)
+        && !COMMANDS[command].flags.includes(flag));
+    if (foreign) {
+        throw cliError(`--${foreign} is not a ${command} flag`, EXIT_CODES.usage);
+    }
+    return {
+        command, values, inputs, options: COMMANDS[command].buildOptions(values),
+    };
+}
+
+/**
+ * Paraphrase or translate every input on one client, carrying on after failures that only affect one input
+ * @param {string} command - 'paraphrase' or 'translate'
+ * @param {Object} values - Parsed flags
+ * @param {Object} options - Tool options built from the flags
+ * @param {string[]} inputs - File paths, or '-' for stdin
+ * @returns {Promise<number>} Exit code of the first failure, or 0
+ */
+async function processInputs(command, values, options, inputs) {
+    const client = new QuillBotClient({headless: values.headless || undefined, throwOnError: true});
+    // Results on stdout only need telling apart when there are several
+    const withHeaders = inputs.length > 1 || (options.targetLanguages || []).length > 1;
+    let exitCode = EXIT_CODES.ok;
+    try {
+        for (const input of inputs) {
+            let error;
+            try {
+                const text = await readInput(input);
+                const result = await COMMANDS[command].run(client, text, options);
+                result.outputs.forEach((output) => writeOutput(input, output, {write: values.write, withHeaders}));
+                ({error} = result);
+            } catch (caught) {
+                error = caught;
+            }
+
+            if (error) {
+                const code = getExitCode(error);
+                process.stderr.write(`quillbot: ${input === '-' ? 'stdin' : input}: ${error.message}\n`);
+                exitCode = exitCode || code;
+                if (FATAL_EXIT_CODES.includes(code)) {
+                    break;
+                }
+            }
+        }
+    } finally {
+        await client.close({_success: exitCode === EXIT_CODES.ok});
+    }
+    return exitCode;
+}
+
+/**
+ * Run the HTTP server until the process is interrupted
+ * @param {Object} values - Parsed flags
+ * @param {Object} options - Server options built from the flags ({port, host, concurrency})
+ * @returns {Promise<number>} 0 after a clean shutdown, otherwise the exit code of the startup error
+ */
+async function serve(values, options) {
+    const server = new QuillBotServer({...options, headless: values.headless || undefined});
+    try {
+        const {host, port} = await server.listen();
+        process.stderr.write(`Listening on http://${host}:${port} (Ctrl+C to stop)\n`);
+        await new Promise((resolve) => {
+            const stop = () => {
+                process.off('SIGINT', stop);
+                process.off('SIGTERM', stop);
+                resolve();
+            };
+            process.on('SIGINT', stop);
+            process.on('SIGTERM', stop);
+        });
+        process.stderr.write('Shutting down...\n');
+        return EXIT_CODES.ok;
+    } catch (error) {
+        process.stderr.write(`quillbot: ${error.message}\n`);
+        return getExitCode(error);
+    } finally {
+        await server.close();
+    }
+}
+
+/**
+ * Run the quillbot command line
+ * @param {string[]} argv - Arguments after the executable and script (e.g., ['translate', '-t', 'es', 'notes.txt'])
+ * @returns {Promise<number>} Exit code (see EXIT_CODES); with several inputs, the code of the first failure
+ */
+async function run(argv) {
+    let parsed;
+    let inputs = [];
+    try {
+        parsed = parseCommandLine(argv);
+        if (parsed.command && parsed.command !== 'serve') {
+            inputs = expandInputs(parsed.inputs);
+            if (parsed.values.write && inputs.includes('-')) {
+                throw cliError('--write needs input files, not stdin', EXIT_CODES.usage);
+            }
+            if (inputs.includes('-') && process.stdin.isTTY) {
+                throw cliError('No input: pass files or pipe text on stdin', EXIT_CODES.usage);
+            }
+        }
+    } catch (error) {
+        process.stderr.write(`quillbot: ${error.message}\n\n${USAGE}`);
+        return getExitCode(error);
+    }
+
+    const {command, values, options} = parsed;
+    if (!command) {
+        process.stdout.write(values.version ? `${version}\n` : USAGE);
+        return EXIT_CODES.ok;
+    }
+
+    const restoreConsole = redirectLibraryLogs(values.verbose);
+    try {
+        return command === 'serve'
+            ? await serve(values, options)
+            : await processInputs(command, values, options, inputs);
+    } finally {
+        restoreConsole();
+    }
+}
+
+module.exports = {
+    EXIT_CODES,
+    run,
+};
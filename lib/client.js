@@ -0,0 +1,820 @@
+const {detectAccountTier, saveCookies, setupSession} = require('./auth');
+const {loadCapabilities} = require('./capabilities');
+const {citeOnPage, initializeCitationGeneratorPage} = require('./citation');
+const {detectAIOnPage, initializeDetectorPage, validateDetectAI} = require('./detector');
+const {
+    QuillBotError,
+    BrowserCrashedError,
+    QuotaExceededError,
+    isBrowserCrashError,
+    toQuillBotError,
+} = require('./errors');
+const {checkGrammarOnPage, initializeGrammarCheckerPage} = require('./grammar');
+const {
+    getWordLimit,
+    initializeParaphraserPage,
+    readParaphraserCapabilities,
+    readParaphraserDefaults,
+    paraphraseOnPage,
+    getSentenceAlternatives,
+    getWordSynonyms,
+    applyWordSynonym,
+} = require('./paraphraser');
+const {initializeSummarizerPage, summarizeOnPage} = require('./summarizer');
+const {readTranslatorLanguages, translateOnPage} = require('./translator');
+const {
+    launchBrowser,
+    createPage,
+    closeBrowser,
+    saveHTMLForDebug,
+} = require('./utils');
+
+/**
+ * Persistent QuillBot session that keeps one browser and one warmed-up page per tool,
+ * so repeated calls skip the browser launch and page initialization waits
+ */
+class QuillBotClient {
+    /**
+     * @param {Object} options - Options object
+     * @param {boolean|string} options.headless - Browser headless mode (default: 'new')
+     * @param {Object} options.browser - Existing browser or browser context to open pages in (not closed by the client)
+     * @param {boolean} options.throwOnError - Throw typed errors instead of returning null (default: false)
+     * @param {Object} options.account - QuillBot credentials ({email, password}) to log in with
+     * @param {Object[]} options.cookies - Cookies to import into the browser
+     * @param {string} options.cookiesFile - JSON cookie jar loaded on open and saved after login and on close
+     * @param {string} options.userDataDir - Browser profile directory to reuse between runs
+     * @param {string} options.loginUrl - Login page URL (default: QuillBot's login page)
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.browser = null;
+        this.ownsBrowser = !options.browser;
+        this.isDev = false;
+        this.pages = {};
+        // Launch and page initializations in progress, so concurrent calls share them instead of starting duplicates
+        this.opening = null;
+        this.pendingPages = {};
+        // Bumped by close(), so a launch or page setup that finishes afterwards is dropped instead of reused
+        this.generation = 0;
+        // Tail of each tool's queue of calls, so calls sharing a tool page run one after another
+        this.toolLocks = {};
+        // Mode, language and synonyms level the paraphraser page starts with, and those a call has changed since
+        this.paraphraserDefaults = null;
+        this.changedParaphraserControls = new Set();
+        // Last usage limit reported by QuillBot ({type, message, resetInfo}), or null
+        this.quotaStatus = null;
+        // 'anonymous', 'free' or 'premium' once detected on the paraphraser page
+        this.accountTier = null;
+        // Set when a call failed because the browser or context is gone, so its owner can replace it
+        this.crashed = false;
+    }
+
+    /**
+     * Whether the client was given an account, cookies or a browser profile to sign in with
+     * @returns {boolean} True if a signed-in session is expected
+     */
+    get hasAccountSession() {
+        const {
+            account, cookies, cookiesFile, userDataDir,
+        } = this.options;
+        return Boolean(account || (cookies && cookies.length) || cookiesFile || userDataDir);
+    }
+
+    /**
+     * Launch the browser and sign in if an account or cookies were given (no-op if it is already running)
+     * @returns {Promise<QuillBotClient>} The client, for chaining
+     */
+    async open() {
+        if (this.browser && (!this.ownsBrowser || this.browser.connected)) {
+            return this;
+        }
+
+        if (!this.opening) {
+            this.opening = this.launch().finally(() => {
+                this.opening = null;
+            });
+        }
+        await this.opening;
+        return this;
+    }
+
+    /**
+     * Launch or attach to the browser and sign in; called through open() so it never runs twice at once
+     * @returns {Promise<void>}
+     * @throws {QuillBotError} If the client was closed before the browser was ready
+     */
+    async launch() {
+        const {generation} = this;
+        const {browser, isDev} = this.ownsBrowser ? await launchBrowser(this.options) : {
+            browser: this.options.browser,
+            isDev: this.options.headless === false || this.options.headless === 'new',
+        };
+
+        try {
+            if (generation === this.generation) {
+                await setupSession(browser, this.options, isDev);
+            }
+            if (generation !== this.generation) {
+                throw new QuillBotError('Client was closed while opening');
+            }
+        } catch (error) {
+            // The browser belongs to no session now, so it is closed rather than leaked
+            if (this.ownsBrowser) {
+                await browser.close().catch(() => {});
+            }
+            throw error;
+        }
+
+        this.browser = browser;
+        this.isDev = isDev;
+        this.pages = {};
+        this.accountTier = null;
+        this.crashed = false;
+    }
+
+    /**
+     * Close the browser (or only the client's pages when the browser is shared) and forget all tool pages
+     * @param {Object} closeOptions - Options forwarded to closeBrowser (e.g., _success)
+     * @returns {Promise<void>}
+     */
+    async close(closeOptions = {}) {
+        this.generation += 1;
+        const {browser, pages} = this;
+        const pending = [this.opening, ...Object.values(this.pendingPages)];
+        this.browser = null;
+        this.pages = {};
+        this.pendingPages = {};
+        this.changedParaphraserControls.clear();
+        // Let a launch or page setup in progress notice the close and clean up after itself
+        await Promise.allSettled(pending);
+
+        // Keep refreshed session cookies for the next run
+        if (browser && this.options.cookiesFile) {
+            try {
+                await saveCookies(browser, this.options.cookiesFile);
+            } catch (error) {
+                console.error(`Error saving cookies: ${error.message}`);
+            }
+        }
+
+        if (!this.ownsBrowser) {
+            await Promise.all(Object.values(pages).map(async (page) => {
+                try {
+                    await page.close();
+                } catch (error) {
+                    console.error(`Error closing page: ${error.message}`);
+                }
+            }));
+            return;
+        }
+
+        await closeBrowser(browser, {headless: this.options.headless, _success: true, ...closeOptions});
+    }
+
+    /**
+     * Get the page for a tool, creating and initializing it on first use or after a crash
+     * @param {string} tool - Tool name used as the page key
+     * @param {Function} initialize - Optional async function(page, isDev) run once for a new page
+     * @returns {Promise<Object>} Puppeteer page object
+     */
+    async getPage(tool, initialize = null) {
+        const {generation} = this;
+        await this.open();
+        if (generation !== this.generation) {
+            throw new QuillBotError('Client was closed while the page was requested');
+        }
+
+        const existing = this.pages[tool];
+        if (existing && !existing.isClosed()) {
+            return existing;
+        }
+
+        if (!this.pendingPages[tool]) {
+            const pending = (async () => {
+                const page = await createPage(this.browser);
+                try {
+                    if (initialize) {
+                        await initialize(page, this.isDev);
+                    }
+                    if (generation !== this.generation) {
+                        throw new QuillBotError('Client was closed while the page was set up');
+                    }
+                } catch (error) {
+                    await page.close().catch(() => {});
+                    throw error;
+                }
+                this.pages[tool] = page;
+                return page;
+            })().finally(() => {
+                if (this.pendingPages[tool] === pending) {
+                    delete this.pendingPages[tool];
+                }
+            });
+            this.pendingPages[tool] = pending;
+        }
+        return this.pendingPages[tool];
+    }
+
+    /**
+     * Wait until no other call is using a tool's page and reserve it
+     * @param {string} tool - Tool name used as the page key
+     * @returns {Promise<Function>} Function that releases the page for the next call
+     */
+    async lockTool(tool) {
+        const previous = this.toolLocks[tool];
+        let release;
+        const current = new Promise((resolve) => {
+            release = resolve;
+        });
+        this.toolLocks[tool] = current;
+        await previous;
+        return () => {
+            if (this.toolLocks[tool] === current) {
+                delete this.toolLocks[tool];
+            }
+            release();
+        };
+    }
+
+    /**
+     * Paraphrase text using the shared paraphrasing tool page
+     * @param {string} text - Text to paraphrase
+     * @param {Object} options - Options object
+     * @param {string} options.language - Language for paraphrasing (e.g., 'English (AU)')
+     * @param {string} options.mode - Paraphrasing mode (Standard, Fluency, etc.)
+     * @param {string} options.customModeDescription - Style description for Custom mode
+     * @param {string} options.synonymsLevel - Synonyms level (0, 50, or 100)
+     * @param {number} options.wordLimit - Words per part (default: based on the detected account tier)
+     * @param {Object} options.settings - Settings panel options (e.g., {useContractions: false, englishDialect: 'British'})
+     * @param {string[]} options.freezeWords - Words or phrases that must not change
+     * @param {boolean} options.detailed - Return a detailed result object instead of a string
+     * @param {boolean|Object} options.detectAI - Check the output with the AI detector (true or {threshold, retries});
+     *   implies detailed and adds aiDetection to the result
+     * @param {boolean} options.throwOnError - Throw typed errors instead of returning null
+     * @returns {Promise<string|Object|null>} Paraphrased text (or detailed result) or null on error
+     */
+    async paraphrase(text, options = {}) {
+        const release = await this.lockTool('paraphraser');
+        let page;
+        try {
+            const detection = options.detectAI ? validateDetectAI(options.detectAI) : null;
+            page = await this.getPage('paraphraser', initializeParaphraserPage);
+            if (!this.accountTier) {
+                this.accountTier = this.hasAccountSession ? await detectAccountTier(page) : 'anonymous';
+                console.log(`Account tier: ${this.accountTier}`);
+            }
+            if (!this.paraphraserDefaults) {
+                this.paraphraserDefaults = await readParaphraserDefaults(page);
+            }
+            const wordLimit = options.wordLimit || getWordLimit(this.accountTier);
+            const paraphraseOptions = {
+                ...this.resetParaphraserControls(options),
+                wordLimit,
+                detailed: options.detailed || Boolean(detection),
+            };
+            const result = await paraphraseOnPage(page, text, paraphraseOptions, this.isDev);
+            return detection ? await this.verifyParaphrase(page, text, result, paraphraseOptions, detection) : result;
+        } catch (error) {
+            console.error(`Error in paraphraser function: ${error.message}`);
+            console.error(error.stack);
+            const debugFile = await this.saveErrorState(page, 'error-state.html');
+            return this.handleError(error, options, debugFile);
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Fill in the page defaults for the mode, language and synonyms level an earlier call changed but this call
+     * leaves unset, so options do not carry over between calls on the shared page. Settings panel options are
+     * preferences QuillBot keeps for the session and are not reset.
+     * @param {Object} options - Paraphrasing options
+     * @returns {Object} Options with the defaults filled in
+     */
+    resetParaphraserControls(options) {
+        const reset = {...options};
+        const isCustom = Boolean(options.customModeDescription) && !options.mode;
+        ['mode', 'language', 'synonymsLevel'].forEach((key) => {
+            const isSet = options[key] || (key === 'mode' && isCustom);
+            if (isSet) {
+                this.changedParaphraserControls.add(key);
+            } else if (this.changedParaphraserControls.has(key) && this.paraphraserDefaults[key]) {
+                reset[key] = this.paraphraserDefaults[key];
+                this.changedParaphraserControls.delete(key);
+            }
+        });
+        return reset;
+    }
+
+    /**
+     * Score a detailed paraphrase result with the AI detector and paraphrase the input again while it is flagged.
+     * Every pass starts from the input, so the parts and alignment of the returned result describe the caller's text.
+     * @param {Object} page - Paraphraser page
+     * @param {string} text - Text that was paraphrased
+     * @param {Object} result - Detailed paraphrase result
+     * @param {Object} options - Paraphrasing options used for extra passes
+     * @param {Object} detection - Validated detectAI option ({threshold, retries})
+     * @returns {Promise<Object>} The result of the last pass with aiDetection
+     *   ({score, breakdown, sentences, parts, threshold, flagged, passes})
+     */
+    async verifyParaphrase(page, text, result, options, detection) {
+        let current = result;
+        for (let pass = 1; ; pass += 1) {
+            const aiDetection = await this.scoreOnDetector(current.text);
+            const flagged = aiDetection.score !== null && aiDetection.score >= detection.threshold;
+            console.log(`AI score after pass ${pass}: ${aiDetection.score}%${flagged ? ' (flagged)' : ''}`);
+            if (!flagged || pass > detection.retries) {
+                return {
+                    ...current,
+                    aiDetection: {
+                        ...aiDetection,
+                        threshold: detection.threshold,
+                        flagged,
+                        passes: pass,
+                    },
+                };
+            }
+            current = await paraphraseOnPage(page, text, options, this.isDev);
+        }
+    }
+
+    /**
+     * Score a text on the shared AI detector page, waiting for other calls that use the page
+     * @param {string} text - Text to check
+     * @returns {Promise<Object>} Detection result ({score, breakdown, sentences, parts})
+     */
+    async scoreOnDetector(text) {
+        const release = await this.lockTool('detector');
+        try {
+            const page = await this.getPage('detector', initializeDetectorPage);
+            return await detectAIOnPage(page, text, {}, this.isDev);
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Get QuillBot's alternative rephrasings for a sentence of the last paraphrase.
+     * Only the last part of a multi-part text is shown on the page, so a sentence of an earlier part is rejected.
+     * @param {number} sentenceIndex - 0-based index of the sentence in the whole output
+     * @param {Object} options - Options object
+     * @param {boolean} options.throwOnError - Throw typed errors instead of returning null
+     * @returns {Promise<string[]|null>} Alternative rephrasings or null on error
+     */
+    async getAlternatives(sentenceIndex, options = {}) {
+        return this.runOnParaphraserOutput(
+            'requesting alternatives',
+            'alternatives-error-state.html',
+            options,
+            (page) => getSentenceAlternatives(page, sentenceIndex, this.isDev)
+        );
+    }
+
+    /**
+     * Get the thesaurus synonyms for a word of the last paraphrase.
+     * Only the last part of a multi-part text is shown on the page, so a word of an earlier part is rejected.
+     * @param {number} wordIndex - 0-based index of the word in the whole output
+     * @param {Object} options - Options object
+     * @param {boolean} options.throwOnError - Throw typed errors instead of returning null
+     * @returns {Promise<Object|null>} The word and its synonyms ({word, synonyms}) or null on error
+     */
+    async getSynonyms(wordIndex, options = {}) {
+        return this.runOnParaphraserOutput(
+            'getting synonyms',
+            'synonyms-error-state.html',
+            options,
+            (page) => getWordSynonyms(page, wordIndex, this.isDev)
+        );
+    }
+
+    /**
+     * Replace a word of the last paraphrase with one of its thesaurus synonyms (words of earlier parts are rejected)
+     * @param {number} wordIndex - 0-based index of the word in the whole output
+     * @param {string} synonym - Synonym to apply, as listed by getSynonyms
+     * @param {Object} options - Options object
+     * @param {boolean} options.throwOnError - Throw typed errors instead of returning null
+     * @returns {Promise<string|null>} Updated output text of the part shown on the page or null on error
+     */
+    async applySynonym(wordIndex, synonym, options = {}) {
+        return this.runOnParaphraserOutput(
+            'applying synonym',
+            'synonyms-error-state.html',
+            options,
+            (page) => applyWordSynonym(page, wordIndex, synonym, this.isDev)
+        );
+    }
+
+    /**
+     * Run an operation on the paraphraser page left by the last paraphrase
+     * @param {string} action - Description used in error logs
+     * @param {string} errorFile - Name of the error state HTML file
+     * @param {Object} options - Call options (throwOnError)
+     * @param {Function} operation - Async function(page) to run
+     * @returns {Promise<*>} Result of the operation or null on error
+     */
+    async runOnParaphraserOutput(action, errorFile, options, operation) {
+        const release = await this.lockTool('paraphraser');
+        const page = this.pages.paraphraser;
+        try {
+            if (!page || page.isClosed()) {
+                throw new QuillBotError(`Paraphrase some text before ${action}`);
+            }
+            return await operation(page);
+        } catch (error) {
+            console.error(`Error ${action}: ${error.message}`);
+            const debugFile = await this.saveErrorState(page, errorFile);
+            return this.handleError(error, options, debugFile);
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Translate text using the shared translator page
+     * @param {string} text - Text to translate
+     * @param {Object} options - Options object
+     * @param {string} options.sourceLanguage - Source language (e.g., 'English (US)')
+     * @param {string} options.targetLanguage - Target language (e.g., 'Spanish')
+     * @param {string[]} options.targetLanguages - Several target languages, translated in turn on the same page
+     * @param {string} options.tone - Translation tone: 'auto', 'formal' or 'informal' (default: 'auto')
+     * @param {boolean} options.detailed - Return a result object with the detected source language instead of a string
+     * @param {string} options.verify - 'backtranslate' to check the translation by translating it back (implies detailed)
+     * @param {number} options.verifyThreshold - Similarity from 0 to 1 below which a sentence counts as drifted (default: 0.5)
+     * @param {boolean} options.throwOnError - Throw typed errors instead of returning null
+     * @returns {Promise<string|Object|null>} Translated text (or detailed result, or with targetLanguages
+     *   {translations, failures} keyed by language code, each failure a serialized error) or null on error
+     */
+    async translate(text, options = {}) {
+        const release = await this.lockTool('translator');
+        let page;
+        try {
+            page = await this.getPage('translator');
+            return await translateOnPage(page, text, options, this.isDev);
+        } catch (error) {
+            console.error(`Error in translator function: ${error.message}`);
+            console.error(error.stack);
+            const debugFile = await this.saveErrorState(page, 'translator-error-state.html');
+            return this.handleError(error, options, debugFile);
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Check text for grammar, spelling and punctuation issues using the shared grammar checker page
+     * @param {string} text - Text to check
+     * @param {Object} options - Options object
+     * @param {boolean} options.autoApply - Apply all fixes with QuillBot's "Fix all" and return its corrected text
+     * @param {boolean} options.throwOnError - Throw typed errors instead of returning null
+     * @returns {Promise<Object|null>} Result ({text, correctedText, issues}) or null on error
+     */
+    async checkGrammar(text, options = {}) {
+        const release = await this.lockTool('grammar');
+        let page;
+        try {
+            page = await this.getPage('grammar', initializeGrammarCheckerPage);
+            return await checkGrammarOnPage(page, text, options, this.isDev);
+        } catch (error) {
+            console.error(`Error in grammar checker function: ${error.message}`);
+            console.error(error.stack);
+            const debugFile = await this.saveErrorState(page, 'grammar-error-state.html');
+            return this.handleError(error, options, debugFile);
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Summarize text using the shared summarizer page
+     * @param {string} text - Text to summarize
+     * @param {Object} options - Options object
+     * @param {string} options.mode - 'key-sentences' (bullet list) or 'paragraph' (default: 'key-sentences')
+     * @param {number} options.length - Summary length slider from 0 (shortest) to 100 (longest)
+     * @param {number} options.wordLimit - Words per part for long input (default: 1200)
+     * @param {boolean} options.throwOnError - Throw typed errors instead of returning null
+     * @returns {Promise<Object|null>} Result ({summary, keySentences, mode, parts}) or null on error
+     */
+    async summarize(text, options = {}) {
+        const release = await this.lockTool('summarizer');
+        let page;
+        try {
+            page = await this.getPage('summarizer', initializeSummarizerPage);
+            return await summarizeOnPage(page, text, options, this.isDev);
+        } catch (error) {
+            console.error(`Error in summarizer function: ${error.message}`);
+            console.error(error.stack);
+            const debugFile = await this.saveErrorState(page, 'summarizer-error-state.html');
+            return this.handleError(error, options, debugFile);
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Check text for AI-written content using the shared AI detector page
+     * @param {string} text - Text to check
+     * @param {Object} options - Options object
+     * @param {number} options.wordLimit - Words per part for long input (default: 1200)
+     * @param {boolean} options.throwOnError - Throw typed errors instead of returning null
+     * @returns {Promise<Object|null>} Result ({score, breakdown, sentences, parts}) or null on error
+     */
+    async detectAI(text, options = {}) {
+        const release = await this.lockTool('detector');
+        let page;
+        try {
+            page = await this.getPage('detector', initializeDetectorPage);
+            return await detectAIOnPage(page, text, options, this.isDev);
+        } catch (error) {
+            console.error(`Error in AI detector function: ${error.message}`);
+            console.error(error.stack);
+            const debugFile = await this.saveErrorState(page, 'detector-error-state.html');
+            return this.handleError(error, options, debugFile);
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Generate a citation using the shared citation generator page
+     * @param {string|Object} source - URL, DOI, or manual fields ({type, title, authors, ...})
+     * @param {Object} options - Options object
+     * @param {string} options.style - Citation style (e.g., 'apa', 'mla', 'chicago') (default: 'apa')
+     * @param {boolean} options.throwOnError - Throw typed errors instead of returning null
+     * @returns {Promise<Object|null>} Citation ({style, source, inText, reference, warnings}) or null on error
+     */
+    async cite(source, options = {}) {
+        const release = await this.lockTool('citation');
+        let page;
+        try {
+            page = await this.getPage('citation', initializeCitationGeneratorPage);
+            return await citeOnPage(page, source, options, this.isDev);
+        } catch (error) {
+            console.error(`Error in citation generator function: ${error.message}`);
+            console.error(error.stack);
+            const debugFile = await this.saveErrorState(page, 'citation-error-state.html');
+            return this.handleError(error, options, debugFile);
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * List the translator's source and target languages, from the cache or the live language menus
+     * @param {Object} options - Options object
+     * @param {boolean} options.refresh - Scrape the menus even if the cache is fresh
+     * @param {string} options.capabilitiesCacheFile - Cache file (default: in the OS temp directory)
+     * @param {number} options.capabilitiesTtl - Cache lifetime in milliseconds, 0 to disable the cache (default: 24 hours)
+     * @param {boolean} options.throwOnError - Throw typed errors instead of returning null
+     * @returns {Promise<Object|null>} Languages ({source, target}) as lists of ({code, name}) or null on error
+     */
+    async getSupportedLanguages(options = {}) {
+        const release = await this.lockTool('translator');
+        let page;
+        try {
+            return await loadCapabilities('languages', options, async () => {
+                page = await this.getPage('translator');
+                return readTranslatorLanguages(page, this.isDev);
+            });
+        } catch (error) {
+            console.error(`Error reading supported languages: ${error.message}`);
+            const debugFile = await this.saveErrorState(page, 'languages-error-state.html');
+            return this.handleError(error, options, debugFile);
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * List the paraphraser's modes and languages, from the cache or the live page
+     * @param {Object} options - Options object
+     * @param {boolean} options.refresh - Scrape the page even if the cache is fresh
+     * @param {string} options.capabilitiesCacheFile - Cache file (default: in the OS temp directory)
+     * @param {number} options.capabilitiesTtl - Cache lifetime in milliseconds, 0 to disable the cache (default: 24 hours)
+     * @param {boolean} options.throwOnError - Throw typed errors instead of returning null
+     * @returns {Promise<Object|null>} Capabilities ({modes, languages}) or null on error
+     */
+    async getParaphraserCapabilities(options = {}) {
+        const release = await this.lockTool('paraphraser');
+        let page;
+        try {
+            return await loadCapabilities('paraphraser', options, async () => {
+                page = await this.getPage('paraphraser', initializeParaphraserPage);
+                return readParaphraserCapabilities(page, this.isDev);
+            });
+        } catch (error) {
+            console.error(`Error reading paraphraser capabilities: ${error.message}`);
+            const debugFile = await this.saveErrorState(page, 'capabilities-error-state.html');
+            return this.handleError(error, options, debugFile);
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Save error state HTML if in dev mode and the page is still open
+     * @param {Object} page - Puppeteer page object
+     * @param {string} filename - Name of the file to save
+     * @returns {Promise<string|null>} Path of the saved file or null
+     */
+    async saveErrorState(page, filename) {
+        if (page && !page.isClosed?.()) {
+            try {
+                return await saveHTMLForDebug(page, filename, this.isDev);
+            } catch (saveError) {
+                console.error(`Could not save error HTML: ${saveError.message}`);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Throw the error as a typed QuillBotError in throwOnError mode, otherwise turn it into null
+     * @param {Error} error - Error raised by a tool
+     * @param {Object} options - Call options (throwOnError falls back to the client options)
+     * @param {string|null} debugFile - Path of the error state HTML, used if the error has none
+     * @returns {null} Null when errors are not thrown
+     */
+    handleError(error, options, debugFile) {
+        if (error instanceof QuotaExceededError) {
+            this.quotaStatus = error.quota;
+        }
+        if (error instanceof BrowserCrashedError || isBrowserCrashError(error)) {
+            this.crashed = true;
+        }
+
+        const throwOnError = options.throwOnError ?? this.options.throwOnError;
+        if (!throwOnError) {
+            return null;
+        }
+
+        const typedError = toQuillBotError(error);
+        if (!typedError.debugFile && debugFile) {
+            typedError.debugFile = debugFile;
+        }
+        throw typedError;
+    }
+}
+
+/**
+ * Run an operation on a client whose browser is closed afterwards (the browser is only launched if a page is needed)
+ * @param {Object} options - Options object for the client
+ * @param {Function} operation - Async function(client) to run
+ * @returns {Promise<*>} Result of the operation
+ */
+async function withClient(options, operation) {
+    const client = new QuillBotClient(options);
+    let result = null;
+    try {
+        result = await operation(client);
+        return result;
+    } finally {
+        // Only delay browser close in dev mode if there was an error (not on success)
+        await client.close({_success: result !== null});
+    }
+}
+
+/**
+ * Run a single client call in a browser that is closed afterwards
+ * @param {string} method - QuillBotClient method name
+ * @param {string} text - Text to process
+ * @param {Object} options - Options object used for both the browser and the call
+ * @returns {Promise<*>} Result of the client call
+ */
+async function runOnce(method, text, options) {
+    return withClient(options, (client) => client[method](text, options));
+}
+
+/**
+ * Paraphrase text using QuillBot in a one-shot browser session
+ * @param {string} text - Text to paraphrase
+ * @param {Object} options - Options object
+ * @param {boolean|string} options.headless - Browser headless mode (default: 'new')
+ * @param {string} options.language - Language for paraphrasing (e.g., 'English (AU)')
+ * @param {string} options.mode - Paraphrasing mode (Standard, Fluency, etc.)
+ * @param {string} options.customModeDescription - Style description for Custom mode
+ * @param {string} options.synonymsLevel - Synonyms level (0, 50, or 100)
+ * @param {Object} options.settings - Settings panel options (e.g., {useContractions: false, englishDialect: 'British'})
+ * @param {string[]} options.freezeWords - Words or phrases that must not change
+ * @param {boolean} options.detailed - Return a detailed result object instead of a string
+ * @param {boolean|Object} options.detectAI - Check the output with the AI detector (true or {threshold, retries});
+ *   implies detailed and adds aiDetection to the result
+ * @param {boolean} options.throwOnError - Throw typed errors instead of returning null
+ * @returns {Promise<string|Object|null>} Paraphrased text (or detailed result) or null on error
+ */
+async function paraphraser(text, options = {}) {
+    return runOnce('paraphrase', text, options);
+}
+
+/**
+ * Translate text using QuillBot in a one-shot browser session
+ * @param {string} text - Text to translate
+ * @param {Object} options - Options object
+ * @param {boolean|string} options.headless - Browser headless mode (default: 'new')
+ * @param {string} options.sourceLanguage - Source language (e.g., 'English (US)')
+ * @param {string} options.targetLanguage - Target language (e.g., 'Spanish')
+ * @param {string[]} options.targetLanguages - Several target languages, translated in turn on the same page
+ * @param {string} options.tone - Translation tone: 'auto', 'formal' or 'informal' (default: 'auto')
+ * @param {boolean} options.detailed - Return a result object with the detected source language instead of a string
+ * @param {string} options.verify - 'backtranslate' to check the translation by translating it back (implies detailed)
+ * @param {number} options.verifyThreshold - Similarity from 0 to 1 below which a sentence counts as drifted (default: 0.5)
+ * @param {boolean} options.throwOnError - Throw typed errors instead of returning null
+ * @returns {Promise<string|Object|null>} Translated text (or detailed result, or with targetLanguages
+ *   {translations, failures} keyed by language code, each failure a serialized error) or null on error
+ */
+async function translator(text, options = {}) {
+    return runOnce('translate', text, options);
+}
+
+/**
+ * Check text for grammar, spelling and punctuation issues using QuillBot in a one-shot browser session
+ * @param {string} text - Text to check
+ * @param {Object} options - Options object
+ * @param {boolean|string} options.headless - Browser headless mode (default: 'new')
+ * @param {boolean} options.autoApply - Apply all fixes with QuillBot's "Fix all" and return its corrected text
+ * @param {boolean} options.throwOnError - Throw typed errors instead of returning null
+ * @returns {Promise<Object|null>} Result ({text, correctedText, issues}) or null on error
+ */
+async function grammarChecker(text, options = {}) {
+    return runOnce('checkGrammar', text, options);
+}
+
+/**
+ * Summarize text using QuillBot in a one-shot browser session
+ * @param {string} text - Text to summarize
+ * @param {Object} options - Options object
+ * @param {boolean|string} options.headless - Browser headless mode (default: 'new')
+ * @param {string} options.mode - 'key-sentences' (bullet list) or 'paragraph' (default: 'key-sentences')
+ * @param {number} options.length - Summary length slider from 0 (shortest) to 100 (longest)
+ * @param {number} options.wordLimit - Words per part for long input (default: 1200)
+ * @param {boolean} options.throwOnError - Throw typed errors instead of returning null
+ * @returns {Promise<Object|null>} Result ({summary, keySentences, mode, parts}) or null on error
+ */
+async function summarizer(text, options = {}) {
+    return runOnce('summarize', text, options);
+}
+
+/**
+ * Check text for AI-written content using QuillBot in a one-shot browser session
+ * @param {string} text - Text to check
+ * @param {Object} options - Options object
+ * @param {boolean|string} options.headless - Browser headless mode (default: 'new')
+ * @param {number} options.wordLimit - Words per part for long input (default: 1200)
+ * @param {boolean} options.throwOnError - Throw typed errors instead of returning null
+ * @returns {Promise<Object|null>} Result ({score, breakdown, sentences, parts}) or null on error
+ */
+async function aiDetector(text, options = {}) {
+    return runOnce('detectAI', text, options);
+}
+
+/**
+ * Generate a citation using QuillBot in a one-shot browser session
+ * @param {string|Object} source - URL, DOI, or manual fields ({type, title, authors, ...})
+ * @param {Object} options - Options object
+ * @param {boolean|string} options.headless - Browser headless mode (default: 'new')
+ * @param {string} options.style - Citation style (e.g., 'apa', 'mla', 'chicago') (default: 'apa')
+ * @param {boolean} options.throwOnError - Throw typed errors instead of returning null
+ * @returns {Promise<Object|null>} Citation ({style, source, inText, reference, warnings}) or null on error
+ */
+async function citationGenerator(source, options = {}) {
+    return runOnce('cite', source, options);
+}
+
+/**
+ * List the translator's source and target languages, launching a browser only if the cache is missing or stale
+ * @param {Object} options - Options object
+ * @param {boolean|string} options.headless - Browser headless mode (default: 'new')
+ * @param {boolean} options.refresh - Scrape the menus even if the cache is fresh
+ * @param {string} options.capabilitiesCacheFile - Cache file (default: in the OS temp directory)
+ * @param {number} options.capabilitiesTtl - Cache lifetime in milliseconds, 0 to disable the cache (default: 24 hours)
+ * @param {boolean} options.throwOnError - Throw typed errors instead of returning null
+ * @returns {Promise<Object|null>} Languages ({source, target}) as lists of ({code, name}) or null on error
+ */
+async function getSupportedLanguages(options = {}) {
+    return withClient(options, (client) => client.getSupportedLanguages(options));
+}
+
+/**
+ * List the paraphraser's modes and languages, launching a browser only if the cache is missing or stale
+ * @param {Object} options - Options object
+ * @param {boolean|string} options.headless - Browser headless mode (default: 'new')
+ * @param {boolean} options.refresh - Scrape the page even if the cache is fresh
+ * @param {string} options.capabilitiesCacheFile - Cache file (default: in the OS temp directory)
+ * @param {number} options.capabilitiesTtl - Cache lifetime in milliseconds, 0 to disable the cache (default: 24 hours)
+ * @param {boolean} options.throwOnError - Throw typed errors instead of returning null
+ * @returns {Promise<Object|null>} Capabilities ({modes, languages}) or null on error
+ */
+async function getParaphraserCapabilities(options = {}) {
+    return withClient(options, (client) => client.getParaphraserCapabilities(options));
+}
+
+module.exports = {
+    QuillBotClient,
+    paraphraser,
+    translator,
+    grammarChecker,
+    summarizer,
+    aiDetector,
+    citationGenerator,
+    getSupportedLanguages,
+    getParaphraserCapabilities,
+};
@@ -0,0 +1,412 @@
+const {countWords, packParagraphs, splitSentences} = require('./chunker');
+const {
+    InvalidOptionError,
+    SelectorNotFoundError,
+    SubmissionTimeoutError,
+    OutputEmptyError,
+    toQuillBotError,
+} = require('./errors');
+const {toAnnotations} = require('./highlights');
+const {assertWithinQuota} = require('./quota');
+const {
+    safePageOperation,
+    saveHTMLForDebug,
+    navigateToUrl,
+    waitForPageInitialization,
+    clearInputField,
+    inputString,
+    closeModalIfPresent,
+    findVisibleSelector,
+    wait,
+} = require('./utils');
+
+const AI_DETECTOR_URL = 'https://quillbot.com/ai-content-detector';
+const DETECTOR_WORD_LIMIT = 1200; // Words per check for a free account
+const DETECTOR_MIN_WORDS = 80; // Shorter text is rejected by the detector
+const SCORE_TIMEOUT = 60000; // Longest wait for the score of a check
+const DEFAULT_AI_THRESHOLD = 50; // Score from which paraphrased output is flagged
+// Sentence classifications shown by the detector, with the labels of its score breakdown
+const CLASSIFICATIONS = {
+    'ai-generated': 'AI-generated',
+    'ai-refined': 'AI-generated & AI-refined',
+    'human-refined': 'Human-written & AI-refined',
+    'human-written': 'Human-written',
+};
+// Known working selectors first for speed
+const INPUT_SELECTORS = [
+    '#aidr-input-editor',
+    '[data-testid="aidr-input-editor"]',
+    '[data-testid*="detector" i] div[contenteditable="true"]',
+    'div[contenteditable="true"][role="textbox"]',
+    'div[contenteditable="true"]',
+];
+const BUTTON_SELECTORS = [
+    '[data-testid="aidr-primary-cta"]',
+    '[data-testid*="detect" i] button',
+    'button[aria-label*="Detect" i]',
+];
+const SCORE_SELECTORS = [
+    '[data-testid="aidr-score"]',
+    '[data-testid*="ai-score" i]',
+    '[class*="aiScore" i]',
+];
+// Class name and data-testid patterns for highlighted sentences, checked in order
+const SENTENCE_PATTERNS = [
+    {type: 'ai-refined', pattern: /ai-?refined|aiParaphrased|ai_paraphrased/i},
+    {type: 'human-refined', pattern: /human-?refined|humanParaphrased|human_ai/i},
+    {type: 'ai-generated', pattern: /ai-?generated|aiGen|ai_text|highlight/i},
+];
+
+/**
+ * Element check function for the AI detector page
+ * @returns {boolean} True if the editor is present
+ */
+function detectorElementCheck() {
+    const selectors = [
+        '#aidr-input-editor',
+        '[data-testid="aidr-input-editor"]',
+        'div[contenteditable="true"][role="textbox"]',
+        'div[contenteditable="true"]',
+    ];
+    return selectors.some((selector) => {
+        const element = document.querySelector(selector);
+        return element && element.offsetParent !== null;
+    });
+}
+
+/**
+ * Load the AI detector in a page and get it ready for input
+ * @param {Object} page - Puppeteer page object
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<void>}
+ */
+async function initializeDetectorPage(page, isDev) {
+    console.log('Navigating to QuillBot AI Detector...');
+    await navigateToUrl(page, AI_DETECTOR_URL);
+    await waitForPageInitialization(page, detectorElementCheck);
+    await saveHTMLForDebug(page, 'detector-initial-load.html', isDev);
+    await closeModalIfPresent(page);
+}
+
+/**
+ * Check the detectAI option of the paraphraser
+ * @param {boolean|Object} detectAI - True for the defaults, or {threshold, retries}
+ * @returns {Object} Threshold (0-100) and number of extra paraphrasing passes for flagged output ({threshold, retries})
+ * @throws {InvalidOptionError} If the option or one of its fields is not supported
+ */
+function validateDetectAI(detectAI) {
+    if (detectAI === true) {
+        return {threshold: DEFAULT_AI_THRESHOLD, retries: 0};
+    }
+    if (typeof detectAI !== 'object' || detectAI === null || Array.isArray(detectAI)) {
+        throw new InvalidOptionError('detectAI must be true or an object ({threshold, retries})', {option: 'detectAI'});
+    }
+
+    const threshold = detectAI.threshold ?? DEFAULT_AI_THRESHOLD;
+    if (typeof threshold !== 'number' || threshold < 0 || threshold > 100) {
+        throw new InvalidOptionError('detectAI.threshold must be a number from 0 to 100', {option: 'detectAI.threshold'});
+    }
+    const retries = detectAI.retries ?? 0;
+    if (!Number.isInteger(retries) || retries < 0) {
+        throw new InvalidOptionError('detectAI.retries must be a non-negative integer', {option: 'detectAI.retries'});
+    }
+    return {threshold, retries};
+}
+
+/**
+ * Read the text of the AI score currently shown, to tell a new score from the one of an earlier check
+ * @param {Object} page - Puppeteer page object
+ * @returns {Promise<string>} Score text, or an empty string if no score is shown
+ */
+async function readScoreText(page) {
+    return safePageOperation(async () => page.evaluate((scoreSelectors) => {
+        const scoreElement = scoreSelectors.map((selector) => document.querySelector(selector)).find(Boolean);
+        const bodyMatch = (document.body.innerText || '').match(/\d{1,3}(?:\.\d+)?\s*%\s*of (?:the )?text is likely AI/i);
+        return ((scoreElement && scoreElement.textContent) || (bodyMatch && bodyMatch[0]) || '').trim();
+    }, SCORE_SELECTORS), 2, page);
+}
+
+/**
+ * Wait until a check has finished with a new score: the button has settled and the score text differs from the
+ * previous one, or was hidden while the check ran (so an unchanged percentage still counts)
+ * @param {Object} page - Puppeteer page object
+ * @param {string} buttonSelector - CSS selector for the detect button
+ * @param {string} previousScore - Score text shown before the check, or an empty string
+ * @returns {Promise<boolean>} True if a new score appeared before the timeout
+ */
+async function waitForNewScore(page, buttonSelector, previousScore) {
+    const startedAt = Date.now();
+    let cleared = false;
+    while (Date.now() - startedAt < SCORE_TIMEOUT) {
+        const current = await readScoreText(page);
+        if (!current) {
+            cleared = true;
+        } else if (!previousScore || current !== previousScore || cleared) {
+            const settled = await safePageOperation(async () => page.evaluate((selector) => {
+                const button = document.querySelector(selector);
+                return !button || (!button.disabled && button.getAttribute('aria-busy') !== 'true');
+            }, buttonSelector), 2, page);
+            if (settled) {
+                return true;
+            }
+        }
+        await wait(500);
+    }
+    return false;
+}
+
+/**
+ * Read the overall AI score and the score breakdown shown after a check
+ * @param {Object} page - Puppeteer page object
+ * @returns {Promise<Object|null>} Score ({score, breakdown}) with percentages from 0 to 100, or null if no score is shown
+ */
+async function readScore(page) {
+    return safePageOperation(async () => page.evaluate((scoreSelectors, labels) => {
+        const clean = (el) => (el ? (el.innerText || el.textContent || '') : '').replace(/\s+/g, ' ').trim();
+        const percent = (text) => {
+            const match = (text || '').match(/(\d{1,3}(?:\.\d+)?)\s*%/);
+            return match ? Number(match[1]) : null;
+        };
+
+        let score = null;
+        const scoreElement = scoreSelectors.map((selector) => document.querySelector(selector)).find(Boolean);
+        if (scoreElement) {
+            score = percent(clean(scoreElement));
+        }
+        if (score === null) {
+            // The score sentence reads like "42% of text is likely AI"
+            const match = clean(document.body).match(/(\d{1,3}(?:\.\d+)?)\s*%\s*of (?:the )?text is likely AI/i);
+            score = match ? Number(match[1]) : null;
+        }
+        if (score === null) {
+            return null;
+        }
+
+        // Each breakdown row holds a label and its percentage; the longest matching label wins
+        const breakdown = {};
+        const rows = Array.from(document.querySelectorAll('li, tr, [class*="row" i], [class*="legend" i] > *'))
+            .map(clean)
+            .filter((text) => text.length < 80 && percent(text) !== null);
+        Object.entries(labels)
+            .sort(([, a], [, b]) => b.length - a.length)
+            .forEach(([type, label]) => {
+                const row = rows.find((text) => text.toLowerCase().startsWith(label.toLowerCase())
+                    && !Object.values(breakdown).some((found) => found.row === text));
+                breakdown[type] = row ? {value: percent(row), row} : {value: null, row: null};
+            });
+        return {
+            score,
+            breakdown: Object.fromEntries(Object.entries(breakdown).map(([type, {value}]) => [type, value])),
+        };
+    }, SCORE_SELECTORS, CLASSIFICATIONS), 2, page);
+}
+
+/**
+ * Read the highlighted runs of the editor in document order with the classification of each run.
+ * Runs are classified by class name or data-testid first; any other background highlight counts as AI-generated.
+ * @param {Object} page - Puppeteer page object
+ * @param {string} selector - CSS selector for the editor
+ * @returns {Promise<Object[]>} Runs ({text, type}); type is null for unhighlighted text
+ */
+async function readSentenceRuns(page, selector) {
+    const patterns = SENTENCE_PATTERNS.map(({type, pattern}) => ({type, source: pattern.source}));
+    return safePageOperation(async () => page.evaluate((sel, typePatterns) => {
+        const root = document.querySelector(sel);
+        if (!root) {
+            return [];
+        }
+        const rootBackground = window.getComputedStyle(root).backgroundColor;
+        const isTransparent = (color) => color === 'transparent' || /rgba\(.*,\s*0\)$/.test(color);
+
+        const classify = (element) => {
+            for (let el = element; el && el !== root; el = el.parentElement) {
+                const names = `${typeof el.className === 'string' ? el.className : ''} ${el.getAttribute('data-testid') || ''}`;
+                const match = typePatterns.find(({source}) => new RegExp(source, 'i').test(names));
+                if (match) return match.type;
+
+                const background = window.getComputedStyle(el).backgroundColor;
+                if (!isTransparent(background) && background !== rootBackground) return 'ai-generated';
+            }
+            return null;
+        };
+
+        const runs = [];
+        const walker = document.createTreeWalker(root, window.NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if (node.textContent.trim()) {
+                const type = classify(node.parentElement);
+                const last = runs[runs.length - 1];
+                if (last && last.type === type) {
+                    last.text += node.textContent;
+                } else {
+                    runs.push({text: node.textContent, type});
+                }
+            }
+        }
+        return runs;
+    }, selector, patterns), 2, page);
+}
+
+/**
+ * Classify each sentence of a text by the highlighted runs that cover most of it
+ * @param {string} text - Checked text
+ * @param {Object[]} runs - Runs ({text, type}) as returned by readSentenceRuns
+ * @returns {Object[]} Sentences ({offset, text, classification}) in order; unhighlighted sentences are 'human-written'
+ */
+function classifySentences(text, runs) {
+    const annotations = toAnnotations(text, runs);
+    const sentences = [];
+    let cursor = 0;
+    for (const sentence of splitSentences(text).map((s) => s.trim()).filter(Boolean)) {
+        const offset = text.indexOf(sentence, cursor);
+        if (offset !== -1) {
+            const sentenceEnd = offset + sentence.length;
+            cursor = sentenceEnd;
+
+            // Count the highlighted characters of each classification inside the sentence
+            const coverage = {};
+            annotations.forEach(({start, end, type}) => {
+                const overlap = Math.min(end, sentenceEnd) - Math.max(start, offset);
+                if (overlap > 0) {
+                    coverage[type] = (coverage[type] || 0) + overlap;
+                }
+            });
+            const [top] = Object.entries(coverage).sort(([, a], [, b]) => b - a);
+            sentences.push({
+                offset,
+                text: sentence,
+                classification: top && top[1] >= sentence.length / 2 ? top[0] : 'human-written',
+            });
+        }
+    }
+    return sentences;
+}
+
+/**
+ * Check text for AI-written content on a page that already has the AI detector loaded
+ * @param {Object} page - Puppeteer page prepared by initializeDetectorPage
+ * @param {string} text - Text to check
+ * @param {Object} options - Options object
+ * @param {number} options.wordLimit - Words per part for long input (default: 1200)
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<Object>} Result ({score, breakdown, sentences, parts}); score and breakdown are percentages
+ *   weighted by the words of each part, sentences are ({offset, text, classification}) with offsets in the input text
+ * @throws {QuillBotError} If any step of the check fails
+ */
+async function detectAIOnPage(page, text, options = {}, isDev = false) {
+    const wordLimit = options.wordLimit || DETECTOR_WORD_LIMIT;
+
+    // The detector scores a text as a whole and rejects short input, so paragraphs are packed into as few parts as fit
+    const parts = packParagraphs(text, {maxWords: wordLimit});
+    if (parts.length === 0) {
+        console.log('No text to check.');
+        return {
+            score: null,
+            breakdown: {},
+            sentences: [],
+            parts: 0,
+        };
+    }
+    if (countWords(text) < DETECTOR_MIN_WORDS) {
+        console.log(`Text has fewer than ${DETECTOR_MIN_WORDS} words; the detector may not score it.`);
+    }
+
+    const inputSelector = await findVisibleSelector(page, INPUT_SELECTORS);
+    if (!inputSelector) {
+        const debugFile = await saveHTMLForDebug(page, 'detector-input-not-found.html', isDev);
+        throw new SelectorNotFoundError('AI detector input field not found', {selector: INPUT_SELECTORS.join(', '), debugFile});
+    }
+
+    const results = [];
+    let cursor = 0;
+    for (let i = 0; i < parts.length; i += 1) {
+        console.log('Checking part', i + 1, 'of', parts.length);
+        const part = parts[i];
+
+        try {
+            await clearInputField(page, inputSelector);
+            await inputString(page, inputSelector, part);
+            await wait(1000);
+
+            const buttonSelector = await findVisibleSelector(page, BUTTON_SELECTORS);
+            if (!buttonSelector) {
+                const debugFile = await saveHTMLForDebug(page, `detector-part-${i + 1}-button-not-found.html`, isDev);
+                throw new SelectorNotFoundError('Detect AI button not found', {
+                    partIndex: i,
+                    selector: BUTTON_SELECTORS.join(', '),
+                    debugFile,
+                });
+            }
+
+            // On a reused page the last check's score is still shown, so it is remembered to wait for a new one
+            const previousScore = await readScoreText(page);
+            await safePageOperation(async () => page.click(buttonSelector));
+
+            try {
+                await wait(2000);
+                if (!await waitForNewScore(page, buttonSelector, previousScore)) {
+                    throw new Error(`No new AI score within ${SCORE_TIMEOUT} ms`);
+                }
+            } catch (error) {
+                await assertWithinQuota(page, {partIndex: i, isDev, debugName: `detector-part-${i + 1}`});
+                const debugFile = await saveHTMLForDebug(page, `detector-part-${i + 1}-timeout.html`, isDev);
+                throw new SubmissionTimeoutError('AI score did not appear in the expected time', {
+                    partIndex: i,
+                    selector: buttonSelector,
+                    debugFile,
+                    cause: error,
+                });
+            }
+            await wait(1500);
+            await assertWithinQuota(page, {partIndex: i, isDev, debugName: `detector-part-${i + 1}`});
+
+            const score = await readScore(page);
+            if (!score) {
+                const debugFile = await saveHTMLForDebug(page, `detector-part-${i + 1}-no-score.html`, isDev);
+                throw new OutputEmptyError('AI score not found', {
+                    partIndex: i,
+                    selector: SCORE_SELECTORS.join(', '),
+                    debugFile,
+                });
+            }
+            const sentences = classifySentences(part, await readSentenceRuns(page, inputSelector));
+            await saveHTMLForDebug(page, `detector-part-${i + 1}-checked.html`, isDev);
+
+            // Parts are verbatim slices of the text, so their sentences shift by the part's position
+            const partOffset = text.indexOf(part, cursor);
+            cursor = partOffset + part.length;
+            results.push({
+                ...score,
+                words: countWords(part),
+                sentences: sentences.map((sentence) => ({...sentence, offset: sentence.offset + partOffset})),
+            });
+            console.log(`Part ${i + 1} scored ${score.score}% AI`);
+        } catch (error) {
+            const debugFile = await saveHTMLForDebug(page, `detector-part-${i + 1}-error.html`, isDev);
+            console.error(`Error checking part ${i + 1}: ${error.message}`);
+            throw toQuillBotError(error, {partIndex: i, debugFile});
+        }
+    }
+
+    // Combine the part scores weighted by their word counts
+    const totalWords = results.reduce((sum, {words}) => sum + words, 0) || 1;
+    const weighted = (values) => Math.round(values.reduce((sum, [value, words]) => sum + value * words, 0)
+        / totalWords);
+    const breakdown = {};
+    Object.keys(CLASSIFICATIONS).forEach((type) => {
+        const values = results.map((result) => [result.breakdown[type], result.words]);
+        breakdown[type] = values.some(([value]) => value === null) ? null : weighted(values);
+    });
+    return {
+        score: weighted(results.map((result) => [result.score, result.words])),
+        breakdown,
+        sentences: results.flatMap((result) => result.sentences),
+        parts: parts.length,
+    };
+}
+
+module.exports = {
+    validateDetectAI,
+    initializeDetectorPage,
+    detectAIOnPage,
+};
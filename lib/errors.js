@@ -0,0 +1,164 @@
+/* eslint-disable max-classes-per-file */
+
+// Error fields worth returning to a client, besides name and message
+const ERROR_FIELDS = ['option', 'feature', 'lost', 'quota', 'partIndex'];
+
+/**
+ * Base class for all errors raised by the QuillBot tools
+ * @param {string} message - Error message
+ * @param {Object} context - Error context
+ * @param {number} context.partIndex - Index of the text part being processed (0-based), if any
+ * @param {string} context.selector - Selector that was tried, if any
+ * @param {string} context.debugFile - Path of the saved debug HTML, if any (dev mode only)
+ * @param {Error} context.cause - Underlying error, if any
+ */
+class QuillBotError extends Error {
+    constructor(message, context = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.partIndex = context.partIndex ?? null;
+        this.selector = context.selector ?? null;
+        this.debugFile = context.debugFile ?? null;
+        if (context.cause) {
+            this.cause = context.cause;
+        }
+    }
+}
+
+/**
+ * A required element (input field, button, ...) could not be found on the page
+ */
+class SelectorNotFoundError extends QuillBotError {}
+
+/**
+ * The form was submitted but the result did not appear in time
+ */
+class SubmissionTimeoutError extends QuillBotError {}
+
+/**
+ * The tool finished but its output was empty or unchanged
+ */
+class OutputEmptyError extends QuillBotError {}
+
+/**
+ * The browser or page crashed, closed or was detached while working
+ */
+class BrowserCrashedError extends QuillBotError {}
+
+/**
+ * Logging in to QuillBot failed (e.g., wrong credentials)
+ */
+class LoginFailedError extends QuillBotError {}
+
+/**
+ * QuillBot refused the request because a usage limit was reached
+ * @param {string} message - Error message
+ * @param {Object} context - Error context (see QuillBotError)
+ * @param {Object} context.quota - Quota status ({type, message, resetInfo}) read from the page
+ */
+class QuotaExceededError extends QuillBotError {
+    constructor(message, context = {}) {
+        super(message, context);
+        this.quota = context.quota ?? null;
+    }
+}
+
+/**
+ * An option passed to a tool is unknown or has a value the tool does not support
+ * @param {string} message - Error message
+ * @param {Object} context - Error context (see QuillBotError)
+ * @param {string} context.option - Name of the rejected option
+ */
+class InvalidOptionError extends QuillBotError {
+    constructor(message, context = {}) {
+        super(message, context);
+        this.option = context.option ?? null;
+    }
+}
+
+/**
+ * A QuillBot feature the call relies on is not available to the current account (e.g., premium only)
+ * @param {string} message - Error message
+ * @param {Object} context - Error context (see QuillBotError)
+ * @param {string} context.feature - Name of the unavailable feature
+ */
+class FeatureNotAvailableError extends QuillBotError {
+    constructor(message, context = {}) {
+        super(message, context);
+        this.feature = context.feature ?? null;
+    }
+}
+
+/**
+ * Protected words or phrases (freezeWords) were changed or dropped in the output
+ * @param {string} message - Error message
+ * @param {Object} context - Error context (see QuillBotError)
+ * @param {string[]} context.lost - Phrases missing from the output
+ */
+class FrozenWordsChangedError extends QuillBotError {
+    constructor(message, context = {}) {
+        super(message, context);
+        this.lost = context.lost ?? [];
+    }
+}
+
+/**
+ * Check whether an error means the browser or page is gone
+ * @param {Error} error - Error to check
+ * @returns {boolean} True if the error comes from a closed or crashed browser
+ */
+function isBrowserCrashError(error) {
+    const message = (error && error.message) || '';
+    return message.includes('Target closed')
+        || message.includes('Session closed')
+        || message.includes('Browser disconnected')
+        || message.includes('Page is no longer accessible')
+        || message.includes('Connection closed');
+}
+
+/**
+ * Turn an error into plain JSON (e.g., for a response or a translation failure)
+ * @param {Error} error - Error to serialize
+ * @returns {Object} Error ({name, message}) with the typed error's fields that are set (option, quota, ...)
+ */
+function serializeError(error) {
+    const serialized = {name: error.name, message: error.message};
+    ERROR_FIELDS.forEach((field) => {
+        if (error[field] !== undefined && error[field] !== null) {
+            serialized[field] = error[field];
+        }
+    });
+    return serialized;
+}
+
+/**
+ * Convert any error into a QuillBotError, keeping existing QuillBotErrors unchanged
+ * @param {Error} error - Error to convert
+ * @param {Object} context - Context added to the converted error (see QuillBotError)
+ * @returns {QuillBotError} The typed error
+ */
+function toQuillBotError(error, context = {}) {
+    if (error instanceof QuillBotError) {
+        return error;
+    }
+    if (isBrowserCrashError(error)) {
+        return new BrowserCrashedError(error.message, {...context, cause: error});
+    }
+    return new QuillBotError(error.message, {...context, cause: error});
+}
+
+module.exports = {
+    QuillBotError,
+    SelectorNotFoundError,
+    SubmissionTimeoutError,
+    OutputEmptyError,
+    BrowserCrashedError,
+    QuotaExceededError,
+    LoginFailedError,
+    InvalidOptionError,
+    FeatureNotAvailableError,
+    FrozenWordsChangedError,
+    isBrowserCrashError,
+    toQuillBotError,
+    serializeError,
+};
@@ -0,0 +1,311 @@
+const {InvalidOptionError} = require('./errors');
+const {safePageOperation, saveHTMLForDebug, wait} = require('./utils');
+
+// Buttons and fields of QuillBot's freeze words feature
+const FREEZE_BUTTON_SELECTORS = [
+    '[data-testid*="freeze" i]',
+    'button[aria-label*="freeze" i]',
+    'button[title*="freeze" i]',
+];
+const FREEZE_INPUT_SELECTORS = [
+    '[data-testid*="freeze" i] input',
+    '[role="dialog"] input[placeholder*="freeze" i]',
+    'input[placeholder*="freeze" i]',
+    'input[placeholder*="separate" i]',
+];
+// Frozen phrases are listed as chips in the freeze panel around the freeze field, each with its own remove icon.
+// Chips are only looked up inside that panel, since mode and language chips elsewhere on the page match too.
+const FREEZE_PANEL_SELECTOR = '[data-testid*="freeze" i], [role="dialog"], [role="presentation"], [class*="Popover" i]';
+const FROZEN_CHIP_SELECTOR = '[class*="Chip" i], [data-testid*="frozen" i], li';
+const CHIP_REMOVE_SELECTOR = '[class*="delete" i], [aria-label*="remove" i], [aria-label*="delete" i]';
+// Phrases this module froze on each page, the only chips it removes again
+const frozenPhrases = new WeakMap();
+// Placeholders are single made-up words that the paraphraser leaves alone
+const PLACEHOLDER_PREFIX = 'QBFZ';
+const PLACEHOLDER_SUFFIX = 'ZQ';
+
+/**
+ * Check the freezeWords option
+ * @param {string[]} freezeWords - Words or phrases that must not change
+ * @returns {string[]} Trimmed, unique phrases, longest first
+ * @throws {InvalidOptionError} If the option is not an array of non-empty strings
+ */
+function validateFreezeWords(freezeWords) {
+    if (!Array.isArray(freezeWords) || freezeWords.some((phrase) => typeof phrase !== 'string' || !phrase.trim())) {
+        throw new InvalidOptionError('freezeWords must be an array of non-empty strings', {option: 'freezeWords'});
+    }
+    return [...new Set(freezeWords.map((phrase) => phrase.trim()))].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Build a pattern matching whole occurrences of a phrase (not inside a longer word)
+ * @param {string} phrase - Phrase to match
+ * @returns {RegExp} Global pattern
+ */
+function phrasePattern(phrase) {
+    const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, 'gu');
+}
+
+/**
+ * Count the whole occurrences of a phrase in a text
+ * @param {string} text - Text to search
+ * @param {string} phrase - Phrase to count
+ * @returns {number} Number of occurrences
+ */
+function countPhrase(text, phrase) {
+    return (text.match(phrasePattern(phrase)) || []).length;
+}
+
+/**
+ * Replace protected phrases with placeholders
+ * @param {string} text - Text to mask
+ * @param {string[]} phrases - Protected phrases, longest first (as returned by validateFreezeWords)
+ * @returns {Object} Masked text and the placeholder of each phrase found ({text, placeholders: [{placeholder, phrase}]})
+ */
+function maskFrozenWords(text, phrases) {
+    const placeholders = [];
+    let masked = text;
+    phrases.forEach((phrase) => {
+        const placeholder = `${PLACEHOLDER_PREFIX}${placeholders.length}${PLACEHOLDER_SUFFIX}`;
+        const replaced = masked.replace(phrasePattern(phrase), placeholder);
+        if (replaced !== masked) {
+            placeholders.push({placeholder, phrase});
+            masked = replaced;
+        }
+    });
+    return {text: masked, placeholders};
+}
+
+/**
+ * Put the protected phrases back in place of their placeholders
+ * @param {string} text - Text with placeholders
+ * @param {Object[]} placeholders - Placeholders ({placeholder, phrase}) as returned by maskFrozenWords
+ * @returns {string} Restored text
+ */
+function restoreFrozenWords(text, placeholders) {
+    let restored = text;
+    placeholders.forEach(({placeholder, phrase}) => {
+        // Case-insensitive, since a placeholder can be capitalized at the start of a sentence
+        restored = restored.replace(new RegExp(placeholder, 'gi'), () => phrase);
+    });
+    return restored;
+}
+
+/**
+ * Find the protected phrases that occur fewer times in the output than in the input
+ * @param {string} input - Text that was paraphrased
+ * @param {string} output - Paraphrased text
+ * @param {string[]} phrases - Protected phrases
+ * @returns {string[]} Phrases that were lost or changed
+ */
+function findLostFrozenWords(input, output, phrases) {
+    return phrases.filter((phrase) => countPhrase(output, phrase) < countPhrase(input, phrase));
+}
+
+/**
+ * Put the protected phrases back into annotations read from a masked output
+ * @param {Object[]} annotations - Annotations ({start, end, text, type}) with offsets in the masked text
+ * @param {string} text - Masked text the annotations were read against
+ * @param {Object[]} placeholders - Placeholders ({placeholder, phrase}) as returned by maskFrozenWords
+ * @returns {Object[]} Annotations with offsets and text in the restored text
+ */
+function restoreAnnotationOffsets(annotations, text, placeholders) {
+    if (placeholders.length === 0) {
+        return annotations;
+    }
+    const phrases = new Map(placeholders.map(({placeholder, phrase}) => [placeholder, phrase]));
+    const pattern = new RegExp(placeholders.map(({placeholder}) => placeholder).join('|'), 'gi');
+    const spans = Array.from(text.matchAll(pattern), (match) => ({
+        start: match.index,
+        end: match.index + match[0].length,
+        shift: phrases.get(match[0].toUpperCase()).length - match[0].length,
+    }));
+    // An offset inside a placeholder snaps to the start or end of its phrase, so the phrase stays whole
+    const mapOffset = (offset, isEnd) => {
+        let shift = 0;
+        for (const span of spans) {
+            if (offset >= span.end) {
+                shift += span.shift;
+            } else if (offset > span.start) {
+                return (isEnd ? span.end + span.shift : span.start) + shift;
+            }
+        }
+        return offset + shift;
+    };
+    const restored = restoreFrozenWords(text, placeholders);
+    return annotations.map((annotation) => {
+        const start = mapOffset(annotation.start, false);
+        const end = mapOffset(annotation.end, true);
+        return {
+            ...annotation,
+            start,
+            end,
+            text: restored.slice(start, end),
+        };
+    });
+}
+
+/**
+ * Click the freeze words button to open the freeze panel
+ * @param {Object} page - Puppeteer page with the paraphrasing tool loaded
+ * @returns {Promise<boolean>} True if the button was found and clicked
+ */
+async function openFreezePanel(page) {
+    return safePageOperation(async () => page.evaluate((selectors) => {
+        const button = selectors.map((selector) => document.querySelector(selector)).find(Boolean);
+        if (button) button.click();
+        return Boolean(button);
+    }, FREEZE_BUTTON_SELECTORS), 2, page);
+}
+
+/**
+ * Find the field of the open freeze panel that phrases are typed into
+ * @param {Object} page - Puppeteer page with the freeze panel open
+ * @returns {Promise<string|null>} CSS selector of the field, or null if it is not shown
+ */
+async function findFreezeInput(page) {
+    for (const selector of FREEZE_INPUT_SELECTORS) {
+        if (await safePageOperation(async () => page.$(selector))) {
+            return selector;
+        }
+    }
+    return null;
+}
+
+/**
+ * Read the texts of the chips in the open freeze panel
+ * @param {Object} page - Puppeteer page with the freeze panel open
+ * @param {string} inputSelector - CSS selector of the freeze field, used to find its panel
+ * @returns {Promise<string[]>} Chip texts
+ */
+async function readFrozenChips(page, inputSelector) {
+    return safePageOperation(async () => page.evaluate((fieldSelector, panelSelector, chipSelector) => {
+        const field = document.querySelector(fieldSelector);
+        const panel = field && field.closest(panelSelector);
+        return panel ? Array.from(panel.querySelectorAll(chipSelector)).map((el) => (el.textContent || '').trim()) : [];
+    }, inputSelector, FREEZE_PANEL_SELECTOR, FROZEN_CHIP_SELECTOR), 2, page);
+}
+
+/**
+ * Remove the chips of some phrases from the open freeze panel
+ * @param {Object} page - Puppeteer page with the freeze panel open
+ * @param {string} inputSelector - CSS selector of the freeze field, used to find its panel
+ * @param {string[]} phrases - Phrases whose chips are removed
+ * @returns {Promise<string[]>} Phrases still shown as chips afterwards
+ */
+async function removeFrozenChips(page, inputSelector, phrases) {
+    await safePageOperation(async () => page.evaluate((fieldSelector, selectors, texts) => {
+        const field = document.querySelector(fieldSelector);
+        const panel = field && field.closest(selectors.panel);
+        if (!panel) return;
+        panel.querySelectorAll(selectors.chip).forEach((chip) => {
+            const remove = texts.includes((chip.textContent || '').trim()) && chip.querySelector(selectors.remove);
+            // Remove icons are often SVGs, which have no click() method
+            if (remove) remove.dispatchEvent(new window.MouseEvent('click', {bubbles: true}));
+        });
+    }, inputSelector, {
+        panel: FREEZE_PANEL_SELECTOR,
+        chip: FROZEN_CHIP_SELECTOR,
+        remove: CHIP_REMOVE_SELECTOR,
+    }, phrases), 2, page);
+    await wait(300);
+    const shown = await readFrozenChips(page, inputSelector);
+    return phrases.filter((phrase) => shown.includes(phrase));
+}
+
+/**
+ * Freeze words with QuillBot's own freeze words feature, replacing the phrases an earlier call froze on the page
+ * @param {Object} page - Puppeteer page with the paraphrasing tool loaded
+ * @param {string[]} phrases - Words or phrases to freeze
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<boolean>} True if every phrase is shown as frozen, false if the feature is not available
+ */
+async function freezeWordsOnPage(page, phrases, isDev = false) {
+    try {
+        if (!await openFreezePanel(page)) {
+            console.log('Freeze words button not found.');
+            return false;
+        }
+        await wait(500);
+
+        const inputSelector = await findFreezeInput(page);
+        if (!inputSelector) {
+            await saveHTMLForDebug(page, 'freeze-input-not-found.html', isDev);
+            console.log('Freeze words field not found.');
+            return false;
+        }
+
+        // Phrases frozen by an earlier call on the same page would otherwise stay frozen
+        const earlier = frozenPhrases.get(page) || [];
+        const leftover = earlier.length > 0 ? await removeFrozenChips(page, inputSelector, earlier) : [];
+        if (leftover.length > 0) {
+            console.log(`Earlier freeze words could not be removed: ${leftover.join(', ')}`);
+        }
+
+        for (const phrase of phrases) {
+            await safePageOperation(async () => {
+                await page.type(inputSelector, phrase, {delay: 10});
+                await page.keyboard.press('Enter');
+            });
+            await wait(300);
+        }
+        await saveHTMLForDebug(page, 'freeze-words.html', isDev);
+
+        const frozen = await readFrozenChips(page, inputSelector);
+        frozenPhrases.set(page, [...new Set([...leftover, ...phrases.filter((phrase) => frozen.includes(phrase))])]);
+        await safePageOperation(async () => page.keyboard.press('Escape'));
+
+        const missing = phrases.filter((phrase) => !frozen.includes(phrase));
+        if (missing.length > 0) {
+            console.log(`Freeze words not confirmed for: ${missing.join(', ')}`);
+            return false;
+        }
+        console.log(`Froze ${phrases.length} words with QuillBot.`);
+        return true;
+    } catch (error) {
+        console.log(`Freeze words failed (continuing with masking): ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Remove the phrases frozen with QuillBot's freeze words feature on a page, so later calls on the page start clean
+ * @param {Object} page - Puppeteer page with the paraphrasing tool loaded
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<boolean>} True if none of the phrases are left frozen
+ */
+async function clearFrozenWordsOnPage(page, isDev = false) {
+    const phrases = frozenPhrases.get(page) || [];
+    if (phrases.length === 0) {
+        return true;
+    }
+    try {
+        if (!await openFreezePanel(page)) {
+            return false;
+        }
+        await wait(500);
+        const inputSelector = await findFreezeInput(page);
+        const leftover = inputSelector ? await removeFrozenChips(page, inputSelector, phrases) : phrases;
+        frozenPhrases.set(page, leftover);
+        await saveHTMLForDebug(page, 'freeze-words-cleared.html', isDev);
+        await safePageOperation(async () => page.keyboard.press('Escape'));
+        if (leftover.length > 0) {
+            console.log(`Freeze words could not be removed: ${leftover.join(', ')}`);
+        }
+        return leftover.length === 0;
+    } catch (error) {
+        console.log(`Clearing freeze words failed (continuing): ${error.message}`);
+        return false;
+    }
+}
+
+module.exports = {
+    validateFreezeWords,
+    maskFrozenWords,
+    restoreFrozenWords,
+    findLostFrozenWords,
+    restoreAnnotationOffsets,
+    freezeWordsOnPage,
+    clearFrozenWordsOnPage,
+};
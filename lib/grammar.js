@@ -0,0 +1,324 @@
+const {chunkParagraphs} = require('./chunker');
+const {SelectorNotFoundError, toQuillBotError} = require('./errors');
+const {assertWithinQuota} = require('./quota');
+const {
+    safePageOperation,
+    saveHTMLForDebug,
+    navigateToUrl,
+    waitForPageInitialization,
+    clearInputField,
+    inputString,
+    getOutputContent,
+    closeModalIfPresent,
+    findVisibleSelector,
+    wait,
+} = require('./utils');
+
+const GRAMMAR_CHECKER_URL = 'https://quillbot.com/grammar-check';
+const GRAMMAR_CHARACTER_LIMIT = 10000; // Characters per check
+const CHECK_TIMEOUT = 30000; // Longest wait for the issue list to settle
+// Known working selectors first for speed
+const INPUT_SELECTORS = [
+    '#grammarbot',
+    '[data-testid="grammar-input-editor"]',
+    '[data-testid*="grammar" i] div[contenteditable="true"]',
+    'div[contenteditable="true"][role="textbox"]',
+    'div[contenteditable="true"]',
+];
+// Underlined issues inside the editor
+const ISSUE_SELECTORS = [
+    '[data-testid*="grammar-error" i]',
+    'span[data-error-id]',
+    'span[class*="grammarError" i]',
+    'span[class*="underline" i]',
+];
+// Issue cards in the sidebar, listed in text order
+const CARD_SELECTORS = [
+    '[data-testid*="suggestion-card" i]',
+    '[data-testid*="grammar-card" i]',
+    '[class*="SuggestionCard" i]',
+    '[class*="issueCard" i]',
+];
+const FIX_ALL_SELECTORS = [
+    '[data-testid*="fix-all" i]',
+    'button[aria-label*="fix all" i]',
+];
+
+/**
+ * Element check function for the grammar checker page
+ * @returns {boolean} True if the editor is present
+ */
+function grammarCheckerElementCheck() {
+    const selectors = [
+        '#grammarbot',
+        '[data-testid="grammar-input-editor"]',
+        'div[contenteditable="true"][role="textbox"]',
+        'div[contenteditable="true"]',
+    ];
+    return selectors.some((selector) => {
+        const element = document.querySelector(selector);
+        return element && element.offsetParent !== null;
+    });
+}
+
+/**
+ * Load the grammar checker in a page and get it ready for input
+ * @param {Object} page - Puppeteer page object
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<void>}
+ */
+async function initializeGrammarCheckerPage(page, isDev) {
+    console.log('Navigating to QuillBot Grammar Checker...');
+    await navigateToUrl(page, GRAMMAR_CHECKER_URL);
+    await waitForPageInitialization(page, grammarCheckerElementCheck);
+    await saveHTMLForDebug(page, 'grammar-initial-load.html', isDev);
+    await closeModalIfPresent(page);
+}
+
+/**
+ * Read the underlined issues in the editor and the issue cards in the sidebar
+ * @param {Object} page - Puppeteer page object
+ * @param {string} inputSelector - CSS selector for the editor
+ * @returns {Promise<Object>} Issue marks ({id, text, category}) and cards ({id, original, category, message, suggestions})
+ *   in order; id is the issue id QuillBot puts on the element, if any
+ */
+async function readIssues(page, inputSelector) {
+    return safePageOperation(async () => page.evaluate((editorSelector, issueSelectors, cardSelectors) => {
+        const clean = (el) => (el ? (el.innerText || el.textContent || '') : '').replace(/\s+/g, ' ').trim();
+        const findAll = (root, selectors) => {
+            for (const selector of selectors) {
+                const elements = root ? Array.from(root.querySelectorAll(selector)) : [];
+                if (elements.length > 0) return elements;
+            }
+            return [];
+        };
+
+        const issueId = (el) => el.getAttribute('data-error-id') || el.getAttribute('data-issue-id')
+            || el.getAttribute('data-id') || null;
+
+        const editor = document.querySelector(editorSelector);
+        const marks = findAll(editor, issueSelectors).map((el) => ({
+            id: issueId(el),
+            text: clean(el),
+            category: el.getAttribute('data-category') || el.getAttribute('data-error-type') || null,
+        }));
+        const cards = findAll(document, cardSelectors).map((card) => ({
+            id: issueId(card),
+            original: clean(card.querySelector('del, s, [class*="original" i], [data-testid*="original" i]')),
+            category: clean(card.querySelector('[data-testid*="category" i], [class*="category" i], [class*="title" i]')),
+            message: clean(card.querySelector('[data-testid*="message" i], [class*="message" i], [class*="description" i], p')),
+            suggestions: Array.from(card.querySelectorAll('[data-testid*="suggestion" i] button, button[data-testid*="suggestion" i], [class*="replacement" i], ins'))
+                .map(clean)
+                .filter(Boolean),
+        }));
+        return {marks, cards};
+    }, inputSelector, ISSUE_SELECTORS, CARD_SELECTORS), 2, page);
+}
+
+/**
+ * Wait until the grammar checker has finished, i.e. the number of issues stops changing
+ * @param {Object} page - Puppeteer page object
+ * @param {string} inputSelector - CSS selector for the editor
+ * @returns {Promise<boolean>} True if the issue list settled before the timeout
+ */
+async function waitForCheck(page, inputSelector) {
+    // Checking starts after a short typing pause
+    await wait(3000);
+
+    const startedAt = Date.now();
+    let previousCount = -1;
+    let stableChecks = 0;
+    while (Date.now() - startedAt < CHECK_TIMEOUT) {
+        const {marks, cards} = await readIssues(page, inputSelector);
+        const count = Math.max(marks.length, cards.length);
+        stableChecks = count === previousCount ? stableChecks + 1 : 0;
+        if (stableChecks >= 2) {
+            return true;
+        }
+        previousCount = count;
+        await wait(1000);
+    }
+    return false;
+}
+
+/**
+ * Turn issue marks and cards into issues with offsets in the checked text.
+ * Marks are located in the text from left to right. Each card is paired with the mark of the same issue id,
+ * or else with the first unpaired mark of its original text, so a card without a mark (or the reverse) does
+ * not shift the suggestions of later issues. Cards left unpaired are located by their original text.
+ * @param {string} text - Checked text
+ * @param {Object} found - Marks and cards as returned by readIssues
+ * @returns {Object[]} Issues ({offset, length, text, category, message, suggestions}) in text order
+ */
+function locateIssues(text, {marks, cards}) {
+    const located = [];
+    let cursor = 0;
+    for (const mark of marks) {
+        const offset = mark.text ? text.indexOf(mark.text, cursor) : -1;
+        if (offset !== -1) {
+            cursor = offset + mark.text.length;
+            located.push({mark, offset, card: null});
+        }
+    }
+
+    const unpairedCards = [];
+    for (const card of cards) {
+        const entry = located.find(({mark, card: paired}) => !paired && card.id && mark.id === card.id)
+            || located.find(({mark, card: paired}) => !paired && card.original && mark.text === card.original);
+        if (entry) {
+            entry.card = card;
+        } else if (card.original) {
+            unpairedCards.push(card);
+        }
+    }
+
+    // A card without a mark takes the first occurrence of its text that no other issue starts at
+    const taken = new Set(located.map(({offset}) => offset));
+    for (const card of unpairedCards) {
+        let offset = text.indexOf(card.original);
+        while (offset !== -1 && taken.has(offset)) {
+            offset = text.indexOf(card.original, offset + 1);
+        }
+        if (offset !== -1) {
+            taken.add(offset);
+            located.push({mark: {text: card.original}, offset, card});
+        }
+    }
+
+    return located
+        .sort((a, b) => a.offset - b.offset)
+        .map(({mark, offset, card}) => ({
+            offset,
+            length: mark.text.length,
+            text: mark.text,
+            category: (card && card.category) || mark.category || null,
+            message: (card && card.message) || null,
+            suggestions: (card && card.suggestions) || [],
+        }));
+}
+
+/**
+ * Apply the first suggestion of each issue to the text, skipping issues that overlap an earlier one
+ * @param {string} text - Checked text
+ * @param {Object[]} issues - Issues with offsets in the text
+ * @returns {string} Corrected text
+ */
+function applySuggestions(text, issues) {
+    let corrected = '';
+    let cursor = 0;
+    for (const issue of issues) {
+        if (issue.offset >= cursor && issue.suggestions.length > 0) {
+            corrected += text.slice(cursor, issue.offset) + issue.suggestions[0];
+            cursor = issue.offset + issue.length;
+        }
+    }
+    return corrected + text.slice(cursor);
+}
+
+/**
+ * Click QuillBot's "Fix all" button and read the corrected editor content
+ * @param {Object} page - Puppeteer page object
+ * @param {string} inputSelector - CSS selector for the editor
+ * @returns {Promise<string|null>} Corrected text, or null if there is no "Fix all" button
+ */
+async function fixAllOnPage(page, inputSelector) {
+    const clicked = await safePageOperation(async () => page.evaluate((selectors) => {
+        const button = selectors.map((selector) => document.querySelector(selector)).find(Boolean)
+            || Array.from(document.querySelectorAll('button')).find((el) => /^\s*fix all/i.test(el.textContent || ''));
+        if (button) button.click();
+        return Boolean(button);
+    }, FIX_ALL_SELECTORS), 2, page);
+    if (!clicked) {
+        return null;
+    }
+
+    await wait(2000);
+    return getOutputContent(page, inputSelector, {preserveBreaks: true});
+}
+
+/**
+ * Check text for grammar, spelling and punctuation issues on a page that already has the grammar checker loaded
+ * @param {Object} page - Puppeteer page prepared by initializeGrammarCheckerPage
+ * @param {string} text - Text to check
+ * @param {Object} options - Options object
+ * @param {boolean} options.autoApply - Apply all fixes with QuillBot's "Fix all" and return its corrected text
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<Object>} Result ({text, correctedText, issues}); issues are
+ *   ({offset, length, text, category, message, suggestions}) with offsets in the input text
+ * @throws {QuillBotError} If any step of the check fails
+ */
+async function checkGrammarOnPage(page, text, options = {}, isDev = false) {
+    // Long text is checked in parts that never cross a paragraph. Parts are verbatim slices of the text, so each
+    // keeps the text up to the next part (spaces, line breaks) to put the corrected text back together as it was.
+    const parts = [];
+    chunkParagraphs(text, {maxWords: Infinity, maxChars: GRAMMAR_CHARACTER_LIMIT}).forEach(({chunks}) => {
+        chunks.forEach((chunk) => {
+            const previous = parts[parts.length - 1];
+            const offset = text.indexOf(chunk, previous ? previous.offset + previous.text.length : 0);
+            if (previous) {
+                previous.separator = text.slice(previous.offset + previous.text.length, offset);
+            }
+            parts.push({text: chunk, offset, separator: ''});
+        });
+    });
+    if (parts.length === 0) {
+        console.log('No text to check.');
+        return {text: text || '', correctedText: text || '', issues: []};
+    }
+    const lastPart = parts[parts.length - 1];
+    lastPart.separator = text.slice(lastPart.offset + lastPart.text.length);
+
+    const inputSelector = await findVisibleSelector(page, INPUT_SELECTORS);
+    if (!inputSelector) {
+        const debugFile = await saveHTMLForDebug(page, 'grammar-input-not-found.html', isDev);
+        throw new SelectorNotFoundError('Grammar checker input field not found', {
+            selector: INPUT_SELECTORS.join(', '),
+            debugFile,
+        });
+    }
+
+    const issues = [];
+    let correctedText = text.slice(0, parts[0].offset);
+    for (let i = 0; i < parts.length; i += 1) {
+        console.log('Checking part', i + 1, 'of', parts.length);
+        const {text: part, offset: partOffset, separator} = parts[i];
+
+        try {
+            await clearInputField(page, inputSelector);
+            await inputString(page, inputSelector, part);
+
+            const isSettled = await waitForCheck(page, inputSelector);
+            await assertWithinQuota(page, {partIndex: i, isDev, debugName: `grammar-part-${i + 1}`});
+            if (!isSettled) {
+                console.log('Issue list did not settle in time (using the issues found so far).');
+            }
+
+            const partIssues = locateIssues(part, await readIssues(page, inputSelector));
+            await saveHTMLForDebug(page, `grammar-part-${i + 1}-checked.html`, isDev);
+
+            // Issues shift by the part's position in the text
+            issues.push(...partIssues.map((issue) => ({...issue, offset: issue.offset + partOffset})));
+
+            let corrected = null;
+            if (options.autoApply) {
+                corrected = await fixAllOnPage(page, inputSelector);
+                if (corrected === null) {
+                    console.log('"Fix all" button not found (applying suggestions one by one).');
+                }
+            }
+            correctedText += `${corrected ?? applySuggestions(part, partIssues)}${separator}`;
+        } catch (error) {
+            const debugFile = await saveHTMLForDebug(page, `grammar-part-${i + 1}-error.html`, isDev);
+            console.error(`Error checking part ${i + 1}: ${error.message}`);
+            throw toQuillBotError(error, {partIndex: i, debugFile});
+        }
+    }
+
+    console.log(`Grammar check complete: ${issues.length} issues found`);
+    return {text, correctedText, issues};
+}
+
+module.exports = {
+    initializeGrammarCheckerPage,
+    checkGrammarOnPage,
+};
@@ -0,0 +1,148 @@
+const {safePageOperation} = require('./utils');
+
+// Class name and data-testid patterns for each kind of highlight, checked in order
+const HIGHLIGHT_PATTERNS = [
+    {type: 'longest-unchanged', pattern: /longest|unchanged/i},
+    {type: 'structural-change', pattern: /struct/i},
+    {type: 'changed-word', pattern: /chng|chg|changed|synonym/i},
+];
+
+/**
+ * Read the text runs of an output element in document order with the highlight type of each run.
+ * Runs are classified by class name or data-testid first, then by the colors QuillBot uses:
+ * orange text for changed words, underlines for structural changes and blue text for the longest unchanged run.
+ * @param {Object} page - Puppeteer page object
+ * @param {string} selector - CSS selector for the output element
+ * @returns {Promise<Object[]>} Runs ({text, type}); type is null for unhighlighted text
+ */
+async function readHighlightRuns(page, selector) {
+    const patterns = HIGHLIGHT_PATTERNS.map(({type, pattern}) => ({type, source: pattern.source}));
+    return safePageOperation(async () => page.evaluate((sel, typePatterns) => {
+        const root = document.querySelector(sel);
+        if (!root) {
+            return [];
+        }
+        const rootColor = window.getComputedStyle(root).color;
+
+        const getHue = (color) => {
+            const match = color.match(/\d+(\.\d+)?/g);
+            if (!match || match.length < 3) return null;
+            const [r, g, b] = match.slice(0, 3).map((value) => Number(value) / 255);
+            const max = Math.max(r, g, b);
+            const min = Math.min(r, g, b);
+            if (max - min < 0.15) return null; // Grey, black or white
+            let hue;
+            if (max === r) hue = ((g - b) / (max - min)) % 6;
+            else if (max === g) hue = (b - r) / (max - min) + 2;
+            else hue = (r - g) / (max - min) + 4;
+            return (hue * 60 + 360) % 360;
+        };
+
+        const classify = (element) => {
+            for (let el = element; el && el !== root.parentElement; el = el.parentElement) {
+                const names = `${typeof el.className === 'string' ? el.className : ''} ${el.getAttribute('data-testid') || ''}`;
+                const match = typePatterns.find(({source}) => new RegExp(source, 'i').test(names));
+                if (match) return match.type;
+            }
+
+            const style = window.getComputedStyle(element);
+            if (/underline/.test(style.textDecorationLine) || parseFloat(style.borderBottomWidth) > 0) {
+                return 'structural-change';
+            }
+            if (style.color !== rootColor) {
+                const hue = getHue(style.color);
+                if (hue !== null && hue >= 180 && hue <= 260) return 'longest-unchanged';
+                if (hue !== null && (hue < 70 || hue > 330)) return 'changed-word';
+            }
+            return null;
+        };
+
+        const runs = [];
+        const walker = document.createTreeWalker(root, window.NodeFilter.SHOW_TEXT);
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if (node.textContent.trim()) {
+                const type = classify(node.parentElement);
+                const last = runs[runs.length - 1];
+                if (last && last.type === type) {
+                    last.text += node.textContent;
+                } else {
+                    runs.push({text: node.textContent, type});
+                }
+            }
+        }
+        return runs;
+    }, selector, patterns), 2, page);
+}
+
+/**
+ * Turn highlight runs into annotations with character offsets in the output text.
+ * Runs are located in order, so whitespace differences between the DOM and the text do not shift the offsets.
+ * @param {string} text - Output text the offsets refer to
+ * @param {Object[]} runs - Runs ({text, type}) as returned by readHighlightRuns
+ * @returns {Object[]} Annotations ({start, end, text, type}) in order
+ */
+function toAnnotations(text, runs) {
+    const annotations = [];
+    let cursor = 0;
+    for (const run of runs) {
+        const runText = run.text.replace(/\s+/g, ' ').trim();
+        const start = runText ? text.indexOf(runText, cursor) : -1;
+        if (start !== -1) {
+            const end = start + runText.length;
+            cursor = end;
+            if (run.type) {
+                const last = annotations[annotations.length - 1];
+                // Join runs of the same type separated only by whitespace
+                if (last && last.type === run.type && !text.slice(last.end, start).trim()) {
+                    last.end = end;
+                    last.text = text.slice(last.start, end);
+                } else {
+                    annotations.push({
+                        start,
+                        end,
+                        text: runText,
+                        type: run.type,
+                    });
+                }
+            }
+        }
+    }
+    return annotations;
+}
+
+/**
+ * Read QuillBot's change highlighting from an output element as annotations
+ * @param {Object} page - Puppeteer page object
+ * @param {string} selector - CSS selector for the output element
+ * @param {string} text - Output text the offsets refer to (as returned by getOutputContent)
+ * @returns {Promise<Object[]>} Annotations ({start, end, text, type}); type is 'changed-word',
+ *   'structural-change' or 'longest-unchanged'. Empty if the highlighting could not be read
+ */
+async function readAnnotations(page, selector, text) {
+    try {
+        return toAnnotations(text, await readHighlightRuns(page, selector));
+    } catch (error) {
+        console.log(`Could not read output highlighting (continuing): ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Shift annotations to offsets in a larger text that contains the annotated text
+ * @param {Object[]} annotations - Annotations ({start, end, text, type})
+ * @param {number} offset - Position of the annotated text in the larger text
+ * @returns {Object[]} Shifted copies of the annotations
+ */
+function offsetAnnotations(annotations, offset) {
+    return annotations.map((annotation) => ({
+        ...annotation,
+        start: annotation.start + offset,
+        end: annotation.end + offset,
+    }));
+}
+
+module.exports = {
+    toAnnotations,
+    readAnnotations,
+    offsetAnnotations,
+};
@@ -1,33 +1,153 @@
+const {alignSentences} = require('./alignment');
+const {findLanguage, loadCapabilitiesForValidation} = require('./capabilities');
+const {chunkParagraphs, joinParagraphs, splitSentences} = require('./chunker');
+const {
+    QuillBotError,
+    SelectorNotFoundError,
+    SubmissionTimeoutError,
+    OutputEmptyError,
+    InvalidOptionError,
+    FeatureNotAvailableError,
+    FrozenWordsChangedError,
+    toQuillBotError,
+} = require('./errors');
+const {
+    validateFreezeWords,
+    maskFrozenWords,
+    restoreFrozenWords,
+    findLostFrozenWords,
+    restoreAnnotationOffsets,
+    freezeWordsOnPage,
+    clearFrozenWordsOnPage,
+} = require('./freeze');
+const {offsetAnnotations, readAnnotations} = require('./highlights');
+const {assertWithinQuota, detectUpgradePrompt} = require('./quota');
+const {applySettings, validateSettings} = require('./settings');
 const {
     safePageOperation,
     saveHTMLForDebug,
-    setupBrowser,
     navigateToUrl,
     waitForPageInitialization,
-    closeBrowser,
     clearInputField,
     inputString,
     getOutputContent,
+    clickTextAt,
+    waitForOptionTexts,
+    closeModalIfPresent,
     wait,
 } = require('./utils');
 
 const PARAPHRASER_URL = 'https://quillbot.com/paraphrasing-tool';
 const OUTPUT_SELECTOR = '#paraphraser-output-box';
 const NUMBER_OF_CHARACTERS = 125; // 125 words per paraphrase for a free account
+// Words per paraphrase for each account tier
+const WORD_LIMITS = {
+    anonymous: NUMBER_OF_CHARACTERS,
+    free: NUMBER_OF_CHARACTERS,
+    premium: 1000,
+};
+// Map mode names to their data-testid values
+const MODE_TEST_IDS = {
+    Standard: 'pphr/header/modes/standard',
+    Fluency: 'pphr/header/modes/fluency',
+    Humanize: 'pphr/header/modes/natural',
+    Natural: 'pphr/header/modes/natural',
+    Formal: 'pphr/header/modes/formal',
+    Academic: 'pphr/header/modes/academic',
+    Simple: 'pphr/header/modes/simple',
+    Creative: 'pphr/header/modes/creative',
+    Expand: 'pphr/header/modes/expand',
+    Shorten: 'pphr/header/modes/shorten',
+    Custom: 'pphr/header/modes/custom',
+};
+// Prompt where Custom mode asks for a description of the wanted style
+const CUSTOM_MODE_INPUT_SELECTORS = [
+    '[data-testid*="custom" i] textarea',
+    '[data-testid*="custom" i] input[type="text"]',
+    'textarea[placeholder*="custom" i]',
+    'input[placeholder*="custom" i]',
+    'textarea[placeholder*="describe" i]',
+    'input[placeholder*="describe" i]',
+];
+const CUSTOM_MODE_SUBMIT_SELECTORS = [
+    '[data-testid*="custom" i] button[type="submit"]',
+    '[data-testid*="custom" i] button[aria-label*="save" i]',
+    '[data-testid*="custom" i] button[aria-label*="apply" i]',
+    '[role="dialog"] button[type="submit"]',
+];
+// Try multiple selectors for the synonyms slider
+const SYNONYMS_SLIDER_SELECTORS = [
+    'input[type="range"][data-testid="synonyms-slider"]',
+    'input[type="range"][aria-label*="synonym" i]',
+    'input[type="range"][class*="slider"]',
+    'input[type="range"]',
+];
+const INPUT_PLACEHOLDER_TEXT = 'To rewrite text, enter or paste it here and press "Paraphrase."';
+// Known working selectors first for speed
+const INPUT_SELECTORS = [
+    '#paraphraser-input-box', // Known working selector - try first
+    '#inputText',
+    '[data-testid="paraphraser-input-box"]',
+    '[data-testid="input-text-box"]',
+    'div[contenteditable="true"][placeholder*="paste" i]',
+    'div[contenteditable="true"][placeholder*="Paste" i]',
+    'textarea[placeholder*="paste" i]',
+    'textarea[placeholder*="Paraphrase" i]',
+    'div[placeholder*="paste" i]',
+    `div[placeholder="${INPUT_PLACEHOLDER_TEXT}"]`,
+    '[aria-label*="paste" i]',
+    '[aria-label*="input" i]',
+    '.paraphraser-input-box',
+    '[role="textbox"]',
+];
+// Updated selectors based on actual HTML structure - known working selector first
+const BUTTON_SELECTORS = [
+    '[data-testid="pphr/input_footer/paraphrase_button"]', // Primary selector from HTML
+    'button[data-testid="pphr/input_footer/paraphrase_button"]',
+    '[aria-label="Paraphrase (Ctrl + Enter)"] button',
+    '[aria-label="Rephrase (Cmd + Return)"] button',
+    '[aria-label="Paraphrase (Cmd + Return)"] button',
+    'button.quillArticleBtn',
+    'button[aria-label*="Paraphrase"]',
+    'button[aria-label*="Rephrase"]',
+    "//div[contains(text(), 'Paraphrase') or contains(text(), 'Rephrase')]/ancestor::button",
+];
+// Popup button that lists the rephrasings of a clicked sentence (scoped to popups, the submit button also says "Rephrase")
+const REPHRASE_BUTTON_SELECTORS = [
+    '[role="tooltip"] [data-testid*="rephrase" i]',
+    '[role="tooltip"] button[aria-label*="rephrase" i]',
+    '[role="presentation"] button[aria-label*="rephrase" i]',
+    '[role="tooltip"] button',
+];
+// Items of the alternative rephrasings list
+const ALTERNATIVE_SELECTORS = [
+    '[data-testid*="rephrase" i] [role="option"]',
+    '[data-testid*="rephrase" i] li',
+    '[data-testid*="alternative" i] li',
+    '[class*="rephrase" i] li',
+    '[class*="alternative" i] li',
+    '[role="listbox"] [role="option"]',
+];
+// Synonym options of the thesaurus popup shown for a clicked word
+const SYNONYM_SELECTORS = [
+    '[data-testid*="synonym" i] [role="option"]',
+    '[data-testid*="synonym" i] li',
+    '[data-testid*="thesaurus" i] li',
+    '[class*="synonym" i] li',
+    '[class*="thesaurus" i] li',
+    '[role="tooltip"] li',
+    '[role="tooltip"] [role="option"]',
+];
+// Part outputs of the last paraphrase on each page; only the last part is still shown on the page
+const paraphrasedParts = new WeakMap();
 
 /**
- * Truncate text to approximately n words, ending at nearest sentence boundary
- * @param {string} str - Text to truncate
- * @param {number} n - Target number of words
- * @returns {string} Truncated text
+ * Get the number of words per paraphrase allowed for an account tier
+ * @param {string} tier - Account tier ('anonymous', 'free' or 'premium')
+ * @returns {number} Word limit per part
  */
-function truncate(str, n) {
-    if (str.length <= n) {
-        return str;
-    }
-    const regex = new RegExp(`\\b[\\w']+(?:[^\\w\\n]+[\\w']+){0,${n}}\\b`, 'g');
-    const subString = str.match(regex); // split up text into n words
-    return subString[0].slice(0, subString[0].lastIndexOf('.') + 1); // find nearest end of sentence
+function getWordLimit(tier) {
+    return WORD_LIMITS[tier] || NUMBER_OF_CHARACTERS;
 }
 
 /**
@@ -36,26 +156,7 @@ function truncate(str, n) {
  * @returns {Promise<string|null>} CSS selector or null
  */
 async function getInputSelector(page) {
-    const placeholderText = 'To rewrite text, enter or paste it here and press "Paraphrase."';
-    // Known working selector first for speed
-    const inputSelectors = [
-        '#paraphraser-input-box', // Known working selector - try first
-        '#inputText',
-        '[data-testid="paraphraser-input-box"]',
-        '[data-testid="input-text-box"]',
-        'div[contenteditable="true"][placeholder*="paste" i]',
-        'div[contenteditable="true"][placeholder*="Paste" i]',
-        'textarea[placeholder*="paste" i]',
-        'textarea[placeholder*="Paraphrase" i]',
-        'div[placeholder*="paste" i]',
-        `div[placeholder="${placeholderText}"]`,
-        '[aria-label*="paste" i]',
-        '[aria-label*="input" i]',
-        '.paraphraser-input-box',
-        '[role="textbox"]',
-    ];
-
-    for (const selector of inputSelectors) {
+    for (const selector of INPUT_SELECTORS) {
         try {
             const exists = await safePageOperation(async () => {
                 const element = await page.$(selector);
@@ -119,20 +220,7 @@ async function getInputField(page, inputSelector) {
  * @returns {Promise<string|null>} CSS/XPath selector or null
  */
 async function getButtonSelector(page) {
-    // Updated selectors based on actual HTML structure - known working selector first
-    const buttonSelectors = [
-        '[data-testid="pphr/input_footer/paraphrase_button"]', // Primary selector from HTML
-        'button[data-testid="pphr/input_footer/paraphrase_button"]',
-        '[aria-label="Paraphrase (Ctrl + Enter)"] button',
-        '[aria-label="Rephrase (Cmd + Return)"] button',
-        '[aria-label="Paraphrase (Cmd + Return)"] button',
-        'button.quillArticleBtn',
-        'button[aria-label*="Paraphrase"]',
-        'button[aria-label*="Rephrase"]',
-        "//div[contains(text(), 'Paraphrase') or contains(text(), 'Rephrase')]/ancestor::button",
-    ];
-
-    for (const selector of buttonSelectors) {
+    for (const selector of BUTTON_SELECTORS) {
         try {
             const exists = await safePageOperation(async () => {
                 if (selector.startsWith('//')) {
@@ -195,9 +283,10 @@ async function clickParaphraseButton(page, buttonSelector) {
  * Wait for form submission to complete
  * @param {Object} page - Puppeteer page object
  * @param {string} buttonSelector - CSS selector for the button
+ * @param {string|null} previousOutput - Output shown before submitting, if any
  * @returns {Promise<boolean>} True if submission completed
  */
-async function waitForFormSubmission(page, buttonSelector) {
+async function waitForFormSubmission(page, buttonSelector, previousOutput = null) {
     try {
         // Approach 1: Wait for output content to appear (most reliable)
         try {
@@ -208,6 +297,17 @@ async function waitForFormSubmission(page, buttonSelector) {
                 });
             });
 
+            // On a reused page the output box is already visible, so wait for its content to change
+            if (previousOutput) {
+                await safePageOperation(async () => {
+                    await page.waitForFunction((sel, previous) => {
+                        const element = document.querySelector(sel);
+                        const content = element ? (element.textContent || '').trim() : '';
+                        return content.length > 0 && content !== previous;
+                    }, {timeout: 30000, polling: 500}, OUTPUT_SELECTOR, previousOutput);
+                });
+            }
+
             // Additional wait to ensure content is loaded
             await wait(2000);
             return true;
@@ -246,16 +346,17 @@ async function waitForFormSubmission(page, buttonSelector) {
  * Submit the paraphrase form
  * @param {Object} page - Puppeteer page object
  * @param {string} buttonSelector - CSS/XPath selector for the button
+ * @param {string|null} previousOutput - Output shown before submitting, if any
  * @returns {Promise<boolean>} True if submitted successfully
  */
-async function submitForm(page, buttonSelector) {
+async function submitForm(page, buttonSelector, previousOutput = null) {
     const isClicked = await clickParaphraseButton(page, buttonSelector);
     if (!isClicked) {
         console.log('Failed to find and click the paraphrase button.');
         return false;
     }
 
-    const isSubmitted = await waitForFormSubmission(page, buttonSelector);
+    const isSubmitted = await waitForFormSubmission(page, buttonSelector, previousOutput);
     if (!isSubmitted) {
         return false;
     }
@@ -267,6 +368,7 @@ async function submitForm(page, buttonSelector) {
  * Select language for paraphrasing
  * @param {Object} page - Puppeteer page object
  * @param {string} languageName - Name of the language to select
+ * @returns {Promise<boolean>} True if the language was selected
  */
 async function selectLanguage(page, languageName) {
     const menuButtonXPath = "//button[contains(., 'All')]";
@@ -331,40 +433,132 @@ async function selectLanguage(page, languageName) {
                 throw new Error(`Language option "${languageName}" not found.`);
             }
         });
+        return true;
     } catch (error) {
         console.error(`Error selecting language "${languageName}": ${error.message}`);
         // Don't throw - language selection is optional
+        return false;
+    }
+}
+
+/**
+ * Scrape the paraphraser's mode buttons and language menu
+ * @param {Object} page - Puppeteer page with the paraphrasing tool loaded
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<Object>} Capabilities ({modes, languages}); modes are ({code, name, testId, premium}) and
+ *   languages are ({code, name}) with code null when the page does not give one. Languages are empty if the
+ *   language menu could not be opened
+ * @throws {SelectorNotFoundError} If no mode buttons are found
+ */
+async function readParaphraserCapabilities(page, isDev) {
+    const modes = await safePageOperation(async () => page.evaluate(() => Array.from(document.querySelectorAll('[data-testid^="pphr/header/modes/"]'))
+        .map((button) => {
+            const testId = button.getAttribute('data-testid');
+            return {
+                code: testId.split('/').pop(),
+                name: (button.innerText || button.textContent || '').split('\n')[0].trim(),
+                testId,
+                premium: Boolean(button.querySelector('[data-testid*="lock" i], [data-testid*="premium" i], [class*="premium" i]')),
+            };
+        })
+        .filter(({name}) => name)), 2, page);
+    if (modes.length === 0) {
+        const debugFile = await saveHTMLForDebug(page, 'paraphraser-modes-not-found.html', isDev);
+        throw new SelectorNotFoundError('Paraphraser mode buttons not found', {selector: '[data-testid^="pphr/header/modes/"]', debugFile});
+    }
+
+    // The "All" menu lists every language, including the ones shown as tabs
+    const menuOpened = await safePageOperation(async () => page.evaluate(() => {
+        const button = Array.from(document.querySelectorAll('button')).find((btn) => (btn.textContent || '').includes('All'));
+        if (button) button.click();
+        return Boolean(button);
+    }), 2, page);
+    let languages = [];
+    if (menuOpened) {
+        await wait(500);
+        languages = await safePageOperation(async () => page.evaluate(() => Array.from(document.querySelectorAll('[role="menuitem"], li[role="option"], li[class*="MenuItem"]'))
+            .filter((item) => item.getClientRects().length > 0)
+            .map((item) => ({
+                code: item.getAttribute('data-value') || item.getAttribute('lang') || null,
+                name: (item.innerText || item.textContent || '').split('\n')[0].trim(),
+            }))
+            .filter(({name}) => name)), 2, page);
+        await safePageOperation(async () => page.keyboard.press('Escape'));
+        await wait(500);
+    } else {
+        console.log('Language menu not found (languages will not be validated).');
+    }
+
+    console.log(`Found ${modes.length} modes and ${languages.length} languages`);
+    return {modes, languages};
+}
+
+/**
+ * Find a mode in the scraped mode buttons by name or code, including the names MODE_TEST_IDS knows it by
+ * @param {Object[]} modes - Modes ({code, name, testId, premium})
+ * @param {string} modeName - Requested mode (e.g., 'Humanize', 'natural')
+ * @returns {Object|null} Matching mode or null
+ */
+function findMode(modes, modeName) {
+    const lower = modeName.toLowerCase();
+    const knownTestId = Object.entries(MODE_TEST_IDS).find(([name]) => name.toLowerCase() === lower);
+    return modes.find(({code, name}) => name.toLowerCase() === lower || code.toLowerCase() === lower)
+        || (knownTestId && modes.find(({testId}) => testId === knownTestId[1]))
+        || null;
+}
+
+/**
+ * Check the requested mode and language against the live mode buttons and language menu
+ * @param {Object} page - Puppeteer page with the paraphrasing tool loaded
+ * @param {string|undefined} mode - Requested mode
+ * @param {Object} options - Paraphrasing options (language and capabilities cache options)
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<Object|null>} The matching mode ({code, name, testId, premium}), or null if no mode was requested
+ *   or the capabilities could not be read
+ * @throws {InvalidOptionError} If the mode or language is not offered by the paraphraser
+ */
+async function validateParaphraserOptions(page, mode, options, isDev) {
+    if (!mode && !options.language) {
+        return null;
+    }
+    const capabilities = await loadCapabilitiesForValidation('paraphraser', options, () => readParaphraserCapabilities(page, isDev));
+    if (!capabilities) {
+        return null;
+    }
+
+    const {languages, modes} = capabilities;
+    if (options.language && languages.length > 0 && !findLanguage(languages, options.language)) {
+        throw new InvalidOptionError(`Unsupported language "${options.language}". Supported: ${languages.map(({name}) => name).join(', ')}`, {
+            option: 'language',
+        });
+    }
+    if (!mode) {
+        return null;
     }
+    const found = findMode(modes, mode);
+    if (!found) {
+        throw new InvalidOptionError(`Unsupported mode "${mode}". Supported: ${modes.map(({name}) => name).join(', ')}`, {
+            option: 'mode',
+        });
+    }
+    return found;
 }
 
 /**
  * Select mode for paraphrasing
  * @param {Object} page - Puppeteer page object
  * @param {string} modeName - Name of the mode to select
+ * @param {string|null} liveTestId - data-testid of the mode button read from the page, used for modes MODE_TEST_IDS does not know
+ * @returns {Promise<boolean>} True if the mode was selected
  */
-async function selectMode(page, modeName) {
-    // Map mode names to their data-testid values
-    const modeTestIds = {
-        Standard: 'pphr/header/modes/standard',
-        Fluency: 'pphr/header/modes/fluency',
-        Humanize: 'pphr/header/modes/natural',
-        Natural: 'pphr/header/modes/natural',
-        Formal: 'pphr/header/modes/formal',
-        Academic: 'pphr/header/modes/academic',
-        Simple: 'pphr/header/modes/simple',
-        Creative: 'pphr/header/modes/creative',
-        Expand: 'pphr/header/modes/expand',
-        Shorten: 'pphr/header/modes/shorten',
-        Custom: 'pphr/header/modes/custom',
-    };
-
+async function selectMode(page, modeName, liveTestId = null) {
     // Normalize mode name (capitalize first letter)
     const normalizedModeName = modeName.charAt(0).toUpperCase() + modeName.slice(1);
-    const testId = modeTestIds[normalizedModeName] || modeTestIds[modeName];
+    const testId = MODE_TEST_IDS[normalizedModeName] || MODE_TEST_IDS[modeName] || liveTestId;
 
     if (!testId) {
-        console.log(`Mode "${modeName}" not recognized. Available modes: ${Object.keys(modeTestIds).join(', ')}`);
-        return;
+        console.log(`Mode "${modeName}" not recognized. Available modes: ${Object.keys(MODE_TEST_IDS).join(', ')}`);
+        return false;
     }
 
     try {
@@ -379,31 +573,137 @@ async function selectMode(page, modeName) {
         await wait(500);
 
         console.log(`Mode set to "${modeName}".`);
+        return true;
     } catch (error) {
         console.log(`Error while selecting mode "${modeName}": ${error.message}`);
         // Don't throw - mode selection is optional
+        return false;
+    }
+}
+
+/**
+ * Throw if Custom mode is locked for the current account (upgrade prompt or locked mode button)
+ * @param {Object} page - Puppeteer page object
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<void>}
+ * @throws {FeatureNotAvailableError} If the account does not have access to Custom mode
+ */
+async function assertCustomModeAvailable(page, isDev) {
+    const upgradePrompt = await detectUpgradePrompt(page);
+    const isLocked = await safePageOperation(async () => page.evaluate((testId) => {
+        const button = document.querySelector(`[data-testid="${testId}"]`);
+        return Boolean(button) && (
+            button.getAttribute('aria-disabled') === 'true'
+            || button.disabled === true
+            || Boolean(button.querySelector('[data-testid*="lock" i], [data-testid*="premium" i], [class*="premium" i]'))
+        );
+    }, MODE_TEST_IDS.Custom), 2, page).catch(() => false);
+
+    if (isLocked || upgradePrompt) {
+        const debugFile = await saveHTMLForDebug(page, 'custom-mode-unavailable.html', isDev);
+        const reason = upgradePrompt ? `: ${upgradePrompt}` : ' (the mode is locked)';
+        throw new FeatureNotAvailableError(`Custom mode is not available on this account${reason}`, {
+            feature: 'Custom mode',
+            selector: `[data-testid="${MODE_TEST_IDS.Custom}"]`,
+            debugFile,
+        });
+    }
+}
+
+/**
+ * Enter the style description Custom mode asks for and check that it was accepted
+ * @param {Object} page - Puppeteer page with Custom mode selected
+ * @param {string} description - Description of the wanted style (e.g., 'Friendly and concise')
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<void>}
+ * @throws {QuillBotError} If Custom mode is not available, the prompt is missing or the description is rejected
+ */
+async function enterCustomModeDescription(page, description, isDev) {
+    await assertCustomModeAvailable(page, isDev);
+
+    let inputSelector = null;
+    for (const selector of CUSTOM_MODE_INPUT_SELECTORS) {
+        try {
+            await safePageOperation(async () => page.waitForSelector(selector, {visible: true, timeout: 2000}), 1);
+            inputSelector = selector;
+            break;
+        } catch (error) {
+            // Try next selector
+        }
     }
+    if (!inputSelector) {
+        const debugFile = await saveHTMLForDebug(page, 'custom-mode-input-not-found.html', isDev);
+        throw new SelectorNotFoundError('Custom mode description field not found', {
+            selector: CUSTOM_MODE_INPUT_SELECTORS.join(', '),
+            debugFile,
+        });
+    }
+
+    await safePageOperation(async () => {
+        await page.click(inputSelector, {clickCount: 3});
+        await page.keyboard.down('Control');
+        await page.keyboard.press('KeyA');
+        await page.keyboard.up('Control');
+        await page.keyboard.press('Backspace');
+        await page.type(inputSelector, description, {delay: 10});
+    });
+
+    const submitted = await safePageOperation(async () => page.evaluate((selectors) => {
+        const button = selectors.map((selector) => document.querySelector(selector)).find((el) => el && !el.disabled);
+        if (button) {
+            button.click();
+            return true;
+        }
+        return false;
+    }, CUSTOM_MODE_SUBMIT_SELECTORS));
+    if (!submitted) {
+        await safePageOperation(async () => page.keyboard.press('Enter'));
+    }
+    await wait(1500);
+
+    // Saving can also be what triggers the upgrade prompt
+    await assertCustomModeAvailable(page, isDev);
+
+    // Accepted when the description is shown on the page, or kept in the field with Custom mode active
+    const check = await safePageOperation(async () => page.evaluate((selector, expected, testId) => {
+        const alert = document.querySelector('[role="alert"], [class*="error" i][class*="text" i]');
+        const field = document.querySelector(selector);
+        const fieldValue = field ? (field.value ?? field.textContent) : '';
+        const button = document.querySelector(`[data-testid="${testId}"]`);
+        const isActive = Boolean(button) && (
+            button.getAttribute('aria-selected') === 'true'
+            || button.getAttribute('aria-pressed') === 'true'
+            || /\b(selected|active)\b/i.test(button.className || '')
+        );
+        const shown = (document.body.innerText || '').includes(expected.slice(0, 40));
+        return {
+            error: alert ? (alert.textContent || '').trim() : '',
+            accepted: shown || ((fieldValue || '').includes(expected.slice(0, 40)) && isActive),
+        };
+    }, inputSelector, description, MODE_TEST_IDS.Custom));
+
+    if (check.error || !check.accepted) {
+        const debugFile = await saveHTMLForDebug(page, 'custom-mode-rejected.html', isDev);
+        throw new QuillBotError(`Custom mode description was not accepted${check.error ? `: ${check.error}` : ''}`, {
+            selector: inputSelector,
+            debugFile,
+        });
+    }
+    console.log('Custom mode description set.');
 }
 
 /**
  * Select synonyms level for paraphrasing
  * @param {Object} page - Puppeteer page object
  * @param {string} value - Synonyms level (0, 50, or 100)
+ * @returns {Promise<boolean>} True if the slider was set
  */
 async function selectSynonymsLevel(page, value) {
     // Ensure the value is within the allowed range
     const sanitizedValue = Math.max(0, Math.min(parseInt(value, 10) || 0, 100)); // Assuming the range is 0 to 100
 
     try {
-        const result = await safePageOperation(async () => page.evaluate((sliderValue) => {
-            // Try multiple selectors for the slider
-            const sliderSelectors = [
-                'input[type="range"][data-testid="synonyms-slider"]',
-                'input[type="range"][aria-label*="synonym" i]',
-                'input[type="range"][class*="slider"]',
-                'input[type="range"]',
-            ];
-
+        const result = await safePageOperation(async () => page.evaluate((sliderValue, sliderSelectors) => {
             let slider = null;
             for (const selector of sliderSelectors) {
                 slider = document.querySelector(selector);
@@ -423,18 +723,71 @@ async function selectSynonymsLevel(page, value) {
                 return 'Success';
             }
             return 'Slider not found';
-        }, sanitizedValue));
+        }, sanitizedValue, SYNONYMS_SLIDER_SELECTORS));
 
         if (result === 'Success') {
             console.log(`Synonyms level set to ${sanitizedValue}.`);
-        } else {
-            console.log('Synonyms slider not found (continuing with default level).');
+            return true;
         }
+        console.log('Synonyms slider not found (continuing with default level).');
+        return false;
     } catch (error) {
         console.log(`Error setting synonyms level (continuing): ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Read the mode, language and synonyms level currently applied on the page
+ * @param {Object} page - Puppeteer page object
+ * @returns {Promise<Object>} Applied settings ({mode, language, synonymsLevel}); unknown values are null
+ */
+async function readAppliedSettings(page) {
+    try {
+        const applied = await safePageOperation(async () => page.evaluate((sliderSelectors) => {
+            const isActive = (el) => el.getAttribute('aria-selected') === 'true'
+                || el.getAttribute('aria-pressed') === 'true'
+                || el.getAttribute('aria-checked') === 'true'
+                || /\b(selected|active)\b/i.test(el.className || '');
+
+            const modeButton = Array.from(document.querySelectorAll('[data-testid^="pphr/header/modes/"]')).find(isActive);
+            const languageTab = Array.from(document.querySelectorAll('[role="tab"], [role="tablist"] button')).find(isActive);
+
+            let slider = null;
+            for (const selector of sliderSelectors) {
+                slider = document.querySelector(selector);
+                if (slider) break;
+            }
+
+            return {
+                modeTestId: modeButton ? modeButton.getAttribute('data-testid') : null,
+                language: languageTab ? (languageTab.textContent || '').trim() || null : null,
+                synonymsLevel: slider ? String(slider.value) : null,
+            };
+        }, SYNONYMS_SLIDER_SELECTORS), 2, page);
+
+        const mode = Object.keys(MODE_TEST_IDS).find((name) => MODE_TEST_IDS[name] === applied.modeTestId) || null;
+        return {mode, language: applied.language, synonymsLevel: applied.synonymsLevel};
+    } catch (error) {
+        console.log(`Could not read applied settings: ${error.message}`);
+        return {mode: null, language: null, synonymsLevel: null};
     }
 }
 
+/**
+ * Read the mode, language and synonyms level the paraphraser starts with, to reset them between calls on one page
+ * @param {Object} page - Puppeteer page with the paraphrasing tool freshly loaded
+ * @returns {Promise<Object>} Defaults ({mode, language, synonymsLevel}); language is null if it could not be read
+ */
+async function readParaphraserDefaults(page) {
+    const applied = await readAppliedSettings(page);
+    return {
+        mode: applied.mode || 'Standard',
+        language: applied.language,
+        synonymsLevel: applied.synonymsLevel || '50',
+    };
+}
+
 /**
  * Element check function for paraphrasing page
  * @returns {boolean} True if key elements are present
@@ -466,117 +819,152 @@ function paraphraserElementCheck() {
 }
 
 /**
- * Close any modal dialogs that appear on the page (e.g., Smart Thesaurus tip)
+ * Load the paraphrasing tool in a page and get it ready for input
  * @param {Object} page - Puppeteer page object
+ * @param {boolean} isDev - Whether in development mode
  * @returns {Promise<void>}
  */
-async function closeModalIfPresent(page) {
-    try {
-        // Wait a bit for modal to appear if it's going to
-        await wait(500);
+async function initializeParaphraserPage(page, isDev) {
+    console.log('Navigating to QuillBot Paraphrasing Tool...');
+    await navigateToUrl(page, PARAPHRASER_URL);
 
-        // Try to find and click the close button
-        const modalClosed = await safePageOperation(async () => {
-            const closeButton = await page.$('[data-testid="styleq-dialog-close-button"]');
-            if (closeButton) {
-                await closeButton.click();
-                console.log('Closed modal dialog (Smart Thesaurus tip)');
-                await wait(300); // Wait for modal to close
-                return true;
-            }
-            return false;
-        }, 2, page);
+    // Wait for page initialization
+    await waitForPageInitialization(page, paraphraserElementCheck);
 
-        if (!modalClosed) {
-            // Modal might not be present, which is fine
-        }
-    } catch (error) {
-        // Modal closing is optional, don't throw
-        console.log(`Modal close attempt failed (continuing): ${error.message}`);
-    }
+    // Save initial HTML for debugging
+    await saveHTMLForDebug(page, 'initial-load.html', isDev);
+    console.log('Initial page loaded and saved');
+
+    // Close any modal dialogs that appear (e.g., Smart Thesaurus tip)
+    await closeModalIfPresent(page);
 }
 
 /**
- * Paraphrase text using QuillBot
+ * Paraphrase text on a page that already has the paraphrasing tool loaded
+ * @param {Object} page - Puppeteer page prepared by initializeParaphraserPage
  * @param {string} text - Text to paraphrase
  * @param {Object} options - Options object
- * @param {boolean|string} options.headless - Browser headless mode (default: 'new')
  * @param {string} options.language - Language for paraphrasing (e.g., 'English (AU)')
  * @param {string} options.mode - Paraphrasing mode (Standard, Fluency, etc.)
+ * @param {string} options.customModeDescription - Style description for Custom mode (selects Custom mode if no mode is given)
  * @param {string} options.synonymsLevel - Synonyms level (0, 50, or 100)
- * @returns {Promise<string|null>} Paraphrased text or null on error
+ * @param {number} options.wordLimit - Words per part (default: 125, the free account limit)
+ * @param {Object} options.settings - Settings panel options (e.g., {useContractions: false, englishDialect: 'British'})
+ * @param {string[]} options.freezeWords - Words or phrases that must not change
+ * @param {boolean} options.detailed - Return a detailed result object instead of a string
+ * @param {string} options.capabilitiesCacheFile - Cache file for the scraped modes and languages
+ * @param {number} options.capabilitiesTtl - Cache lifetime in milliseconds, 0 to disable the cache
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<string|Object>} Paraphrased text, or with `detailed` a result
+ *   ({text, annotations, parts, settings: {requested, applied}, timings, warnings})
+ * @throws {QuillBotError} If any step of the paraphrasing fails
  */
-async function paraphraser(text, options = {}) {
-    let browser;
-    let page;
-    try {
-        let str = text.trim();
-        const parts = [];
-        let output = '';
-
-        // Break up the text into parts of 125 words
-        if (str.match(/(\w+)/g).length > NUMBER_OF_CHARACTERS) {
-            while (str.match(/(\w+)/g).length > NUMBER_OF_CHARACTERS) {
-                const part = truncate(str, NUMBER_OF_CHARACTERS).trim();
-                str = str.slice(part.length);
-                parts.push(part);
-            }
-            parts.push(str.trim());
-        } else {
-            parts.push(str);
-        }
-
-        // Setup browser and page
-        const {browser: browserInstance, page: pageInstance, isDev} = await setupBrowser(options);
-        browser = browserInstance;
-        page = pageInstance;
-
-        console.log('Navigating to QuillBot Paraphrasing Tool...');
-        await navigateToUrl(page, PARAPHRASER_URL);
-
-        // Wait for page initialization
-        await waitForPageInitialization(page, paraphraserElementCheck);
+async function paraphraseOnPage(page, text, options = {}, isDev = false) {
+    const wordLimit = options.wordLimit || NUMBER_OF_CHARACTERS;
+    const settings = options.settings ? validateSettings(options.settings) : {};
+    const freezeWords = options.freezeWords ? validateFreezeWords(options.freezeWords) : [];
+    // A custom mode description implies Custom mode
+    const mode = options.customModeDescription && !options.mode ? 'Custom' : options.mode;
+    if (options.customModeDescription && mode.toLowerCase() !== 'custom') {
+        throw new InvalidOptionError(`customModeDescription requires mode "Custom" (got "${mode}")`, {
+            option: 'customModeDescription',
+        });
+    }
 
-        // Save initial HTML for debugging
-        await saveHTMLForDebug(page, 'initial-load.html', isDev);
-        console.log('Initial page loaded and saved');
+    // Break up the text into sentence-aligned parts within the word limit, never crossing a paragraph
+    const paragraphs = chunkParagraphs(text, {maxWords: wordLimit});
+    const parts = paragraphs.flatMap(({chunks}, paragraphIndex) => chunks.map((chunk) => ({
+        text: chunk,
+        paragraphIndex,
+    })));
+    const outputs = paragraphs.map(() => []);
+    const startedAt = Date.now();
+    const warnings = [];
+    paraphrasedParts.delete(page);
+    const requested = {
+        mode: mode || null,
+        customModeDescription: options.customModeDescription || null,
+        language: options.language || null,
+        synonymsLevel: options.synonymsLevel || null,
+        settings,
+        freezeWords,
+    };
+    if (parts.length === 0) {
+        console.log('No text to paraphrase.');
+        return options.detailed ? {
+            text: '',
+            annotations: [],
+            parts: [],
+            settings: {requested, applied: null},
+            timings: {startedAt, durationMs: 0},
+            warnings,
+        } : '';
+    }
 
-        // Close any modal dialogs that appear (e.g., Smart Thesaurus tip)
-        await closeModalIfPresent(page);
+    // Unknown modes and languages are rejected before anything is changed on the page
+    const liveMode = await validateParaphraserOptions(page, mode, options, isDev);
 
-        // Select language before paraphrasing - non-blocking
-        if (options.language) {
-            console.log(`Attempting to select language: ${options.language}`);
-            try {
-                await selectLanguage(page, options.language);
-                await wait(1000);
-            } catch (error) {
-                console.log(`Language selection failed (continuing): ${error.message}`);
+    // Select language before paraphrasing - non-blocking
+    if (options.language) {
+        console.log(`Attempting to select language: ${options.language}`);
+        try {
+            if (!await selectLanguage(page, options.language)) {
+                warnings.push(`Language "${options.language}" could not be selected`);
             }
+            await wait(1000);
+        } catch (error) {
+            console.log(`Language selection failed (continuing): ${error.message}`);
+            warnings.push(`Language "${options.language}" could not be selected: ${error.message}`);
         }
+    }
 
-        // Select mode before paraphrasing - non-blocking
-        if (options.mode) {
-            console.log(`Attempting to select mode: ${options.mode}`);
-            try {
-                await selectMode(page, options.mode);
-                await wait(1000);
-            } catch (error) {
-                console.log(`Mode selection failed (continuing): ${error.message}`);
+    // Select mode before paraphrasing - non-blocking
+    if (mode) {
+        console.log(`Attempting to select mode: ${mode}`);
+        try {
+            if (!await selectMode(page, mode, liveMode && liveMode.testId)) {
+                warnings.push(`Mode "${mode}" could not be selected`);
             }
+            await wait(1000);
+        } catch (error) {
+            console.log(`Mode selection failed (continuing): ${error.message}`);
+            warnings.push(`Mode "${mode}" could not be selected: ${error.message}`);
         }
+    }
 
-        // Select synonyms level before paraphrasing - non-blocking
-        if (options.synonymsLevel) {
-            console.log(`Attempting to set synonyms level: ${options.synonymsLevel}`);
-            try {
-                await selectSynonymsLevel(page, options.synonymsLevel);
-                await wait(1000);
-            } catch (error) {
-                console.log(`Synonyms level setting failed (continuing): ${error.message}`);
+    // Custom mode output depends on its description, so a missing or rejected one stops here
+    if (options.customModeDescription) {
+        await enterCustomModeDescription(page, options.customModeDescription, isDev);
+    }
+
+    // Select synonyms level before paraphrasing - non-blocking
+    if (options.synonymsLevel) {
+        console.log(`Attempting to set synonyms level: ${options.synonymsLevel}`);
+        try {
+            if (!await selectSynonymsLevel(page, options.synonymsLevel)) {
+                warnings.push(`Synonyms level ${options.synonymsLevel} could not be set`);
             }
+            await wait(1000);
+        } catch (error) {
+            console.log(`Synonyms level setting failed (continuing): ${error.message}`);
+            warnings.push(`Synonyms level ${options.synonymsLevel} could not be set: ${error.message}`);
+        }
+    }
+
+    // Apply the settings panel options and keep what the page actually shows
+    const {applied: appliedSettings, warnings: settingsWarnings} = await applySettings(page, settings, isDev);
+    warnings.push(...settingsWarnings);
+
+    // Prefer QuillBot's freeze words feature, and mask the phrases with placeholders when it is not available
+    let freezeMethod = null;
+    if (freezeWords.length > 0) {
+        freezeMethod = await freezeWordsOnPage(page, freezeWords, isDev) ? 'quillbot' : 'masking';
+        if (freezeMethod === 'masking') {
+            console.log('Protecting freeze words with placeholders.');
         }
+    }
 
+    try {
         // Wait for input - try multiple times with fresh page references
         let inputSelector = null;
         let inputField = null;
@@ -602,10 +990,11 @@ async function paraphraser(text, options = {}) {
 
         if (!inputField || !inputSelector) {
             // Handle the case where the input field wasn't found
-            await saveHTMLForDebug(page, 'input-not-found.html', isDev);
-            console.log('Input field not found. Exiting script.');
-            console.log('Check debug-html/input-not-found.html for page state');
-            return null;
+            const debugFile = await saveHTMLForDebug(page, 'input-not-found.html', isDev);
+            throw new SelectorNotFoundError('Input field not found', {
+                selector: inputSelector || INPUT_SELECTORS.join(', '),
+                debugFile,
+            });
         }
         console.log('Input found');
         await saveHTMLForDebug(page, 'before-paraphrasing.html', isDev);
@@ -614,7 +1003,8 @@ async function paraphraser(text, options = {}) {
         for (let i = 0; i < parts.length; i += 1) {
             console.log('Paraphrasing part', i + 1, 'of', parts.length);
 
-            const part = parts[i];
+            const {text: part, paragraphIndex} = parts[i];
+            const partStartedAt = Date.now();
 
             try {
                 // Refresh page references if needed
@@ -640,7 +1030,8 @@ async function paraphraser(text, options = {}) {
                 await wait(1000);
 
                 // Input the string in the text area
-                await inputString(page, inputSelector, part);
+                const masked = freezeMethod === 'masking' ? maskFrozenWords(part, freezeWords) : {text: part, placeholders: []};
+                await inputString(page, inputSelector, masked.text);
                 await saveHTMLForDebug(page, `part-${i + 1}-input.html`, isDev);
 
                 // Wait after input
@@ -648,32 +1039,66 @@ async function paraphraser(text, options = {}) {
 
                 const buttonSelector = await getButtonSelector(page);
                 if (!buttonSelector) {
-                    await saveHTMLForDebug(page, `part-${i + 1}-button-not-found.html`, isDev);
-                    console.log('Button selector not found. Exiting script.');
-                    return null;
+                    const debugFile = await saveHTMLForDebug(page, `part-${i + 1}-button-not-found.html`, isDev);
+                    throw new SelectorNotFoundError('Paraphrase button not found', {
+                        partIndex: i,
+                        selector: BUTTON_SELECTORS.join(', '),
+                        debugFile,
+                    });
                 }
 
-                const isSubmitted = await submitForm(page, buttonSelector);
+                // Remember the current output so a stale result from a previous run is not read back
+                const previousOutput = await getOutputContent(page, OUTPUT_SELECTOR);
+                const isSubmitted = await submitForm(page, buttonSelector, previousOutput);
+
+                // Stop on a usage limit instead of retrying the remaining parts
+                await assertWithinQuota(page, {partIndex: i, isDev, debugName: `part-${i + 1}`});
+
                 if (!isSubmitted) {
                     // Handle submission failure
-                    await saveHTMLForDebug(page, `part-${i + 1}-submission-failed.html`, isDev);
-                    console.log('Form submission failed. Exiting script.');
-                    return null;
+                    const debugFile = await saveHTMLForDebug(page, `part-${i + 1}-submission-failed.html`, isDev);
+                    throw new SubmissionTimeoutError('Form submission did not complete in the expected time', {
+                        partIndex: i,
+                        selector: buttonSelector,
+                        debugFile,
+                    });
                 }
 
                 // Wait a bit for output to be ready
                 await wait(2000);
 
                 // Get the paraphrased content
-                const outputContent = await getOutputContent(page, OUTPUT_SELECTOR);
+                const rawOutput = await getOutputContent(page, OUTPUT_SELECTOR, {preserveBreaks: true});
+                const outputContent = rawOutput && restoreFrozenWords(rawOutput, masked.placeholders);
                 if (outputContent) {
-                    output += `${outputContent} `;
+                    // Every protected phrase of the part must come back unchanged
+                    const lost = findLostFrozenWords(part, outputContent, freezeWords);
+                    if (lost.length > 0) {
+                        const debugFile = await saveHTMLForDebug(page, `part-${i + 1}-frozen-words-changed.html`, isDev);
+                        throw new FrozenWordsChangedError(`Protected words were changed: ${lost.join(', ')}`, {
+                            partIndex: i,
+                            selector: OUTPUT_SELECTOR,
+                            debugFile,
+                            lost,
+                        });
+                    }
+                    outputs[paragraphIndex].push(outputContent);
+                    parts[i].output = outputContent;
+                    parts[i].timings = {startedAt: partStartedAt, durationMs: Date.now() - partStartedAt};
+                    if (options.detailed) {
+                        // The output still shows the placeholders, so the highlighting is read against the masked text
+                        const annotations = await readAnnotations(page, OUTPUT_SELECTOR, rawOutput);
+                        parts[i].annotations = restoreAnnotationOffsets(annotations, rawOutput, masked.placeholders);
+                    }
                     await saveHTMLForDebug(page, `part-${i + 1}-completed.html`, isDev);
                 } else {
                     // Handle the case where no output content is retrieved
-                    await saveHTMLForDebug(page, `part-${i + 1}-no-output.html`, isDev);
-                    console.log('Output content not found. Exiting script.');
-                    return null;
+                    const debugFile = await saveHTMLForDebug(page, `part-${i + 1}-no-output.html`, isDev);
+                    throw new OutputEmptyError('Output content not found', {
+                        partIndex: i,
+                        selector: OUTPUT_SELECTOR,
+                        debugFile,
+                    });
                 }
 
                 console.log('Paraphrasing complete', i + 1, 'of', parts.length);
@@ -681,36 +1106,317 @@ async function paraphraser(text, options = {}) {
                 // Wait before next iteration
                 await wait(1000);
             } catch (error) {
-                await saveHTMLForDebug(page, `part-${i + 1}-error.html`, isDev);
+                const debugFile = await saveHTMLForDebug(page, `part-${i + 1}-error.html`, isDev);
                 console.error(`Error processing part ${i + 1}: ${error.message}`);
-                throw error;
+                throw toQuillBotError(error, {partIndex: i, debugFile});
             }
         }
 
         console.log('Paraphrasing complete');
-        const result = output.trim();
-        // Store success flag to avoid delaying browser close on success
-        // eslint-disable-next-line no-underscore-dangle, require-atomic-updates
-        options._success = true;
-        return result;
-    } catch (error) {
-        console.error(`Error in paraphraser function: ${error.message}`);
-        console.error(error.stack);
-        // Save error state HTML if in dev mode
-        const isDev = options.headless === false || options.headless === 'new';
-        if (page && !page.isClosed?.()) {
-            try {
-                await saveHTMLForDebug(page, 'error-state.html', isDev);
-            } catch (saveError) {
-                console.error(`Could not save error HTML: ${saveError.message}`);
-            }
+        paraphrasedParts.set(page, parts.map((part) => part.output));
+
+        // Rebuild the original paragraph and blank-line structure around the paraphrased parts
+        const output = joinParagraphs(paragraphs.map(({separator}, index) => ({
+            text: outputs[index].join(' '),
+            separator,
+        })));
+        if (!options.detailed) {
+            return output;
         }
-        return null;
+
+        // Move each part's highlight annotations to offsets in the joined text
+        let cursor = 0;
+        const annotations = parts.flatMap((part) => {
+            const offset = output.indexOf(part.output, cursor);
+            if (offset === -1) {
+                return [];
+            }
+            cursor = offset + part.output.length;
+            return offsetAnnotations(part.annotations, offset);
+        });
+
+        return {
+            text: output,
+            annotations,
+            parts: parts.map(({
+                text: input, output: partOutput, paragraphIndex, annotations: partAnnotations, timings,
+            }, index) => ({
+                index,
+                paragraphIndex,
+                input,
+                output: partOutput,
+                alignment: alignSentences(input, partOutput),
+                annotations: partAnnotations,
+                timings,
+            })),
+            settings: {
+                requested,
+                applied: {...await readAppliedSettings(page), settings: appliedSettings, freezeWords: freezeMethod},
+            },
+            timings: {startedAt, durationMs: Date.now() - startedAt},
+            warnings,
+        };
     } finally {
-        await closeBrowser(browser, options);
+        // Frozen phrases would otherwise stay frozen for later calls on the same page
+        if (freezeMethod) {
+            await clearFrozenWordsOnPage(page, isDev);
+        }
+    }
+}
+
+/**
+ * Find the part of the last paraphrase that holds a sentence or word, counted over the whole output
+ * @param {Object} page - Paraphraser page
+ * @param {number} index - 0-based index over the sentences or words of the whole output
+ * @param {Function} split - Function(text) listing the sentences or words of a part output
+ * @param {string} option - Name of the index option, for errors
+ * @returns {Object} Index in the part shown on the page and the number of items in the parts before it
+ *   ({index, offset})
+ * @throws {InvalidOptionError} If the index is in an earlier part, which is no longer on the page
+ */
+function toShownPartIndex(page, index, split, option) {
+    const outputs = paraphrasedParts.get(page);
+    if (!outputs || outputs.length < 2 || !Number.isInteger(index)) {
+        return {index, offset: 0};
+    }
+
+    let offset = 0;
+    for (let partIndex = 0; partIndex < outputs.length - 1; partIndex += 1) {
+        const count = split(outputs[partIndex]).length;
+        if (index < offset + count) {
+            throw new InvalidOptionError(
+                `${option} ${index} is in part ${partIndex + 1} of ${outputs.length}, but only the last part `
+                + 'is still shown on the page (paraphrase that part on its own to work on it)',
+                {option, partIndex}
+            );
+        }
+        offset += count;
+    }
+    return {index: index - offset, offset};
+}
+
+/**
+ * List the sentences of an output text and their offsets in it
+ * @param {string} output - Output text
+ * @returns {Object[]} Sentences ({text, start})
+ */
+function splitOutputSentences(output) {
+    const sentences = [];
+    let start = 0;
+    for (const sentence of splitSentences(output)) {
+        if (sentence.trim()) {
+            sentences.push({text: sentence.trim(), start});
+        }
+        start += sentence.length;
+    }
+    return sentences;
+}
+
+/**
+ * Get the sentences of the output currently shown and their offsets in it
+ * @param {Object} page - Puppeteer page object
+ * @returns {Promise<Object[]>} Sentences ({text, start}) with start offsets in the output text
+ * @throws {OutputEmptyError} If there is no output
+ */
+async function getOutputSentences(page) {
+    const output = await getOutputContent(page, OUTPUT_SELECTOR);
+    if (!output) {
+        throw new OutputEmptyError('No paraphrased output on the page', {selector: OUTPUT_SELECTOR});
+    }
+    return splitOutputSentences(output);
+}
+
+/**
+ * Get QuillBot's alternative rephrasings for a sentence of the last paraphrase
+ * @param {Object} page - Puppeteer page with a paraphrased output
+ * @param {number} sentenceIndex - 0-based index of the sentence in the whole output, counted part by part
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<string[]>} Alternative rephrasings, without the current sentence
+ * @throws {RangeError} If there is no sentence at the index
+ * @throws {InvalidOptionError} If the sentence is in an earlier part of a multi-part paraphrase
+ * @throws {QuillBotError} If the sentence or the alternatives list cannot be found
+ */
+async function getSentenceAlternatives(page, sentenceIndex, isDev = false) {
+    const sentences = await getOutputSentences(page);
+    const shown = toShownPartIndex(page, sentenceIndex, splitOutputSentences, 'sentenceIndex');
+    if (!Number.isInteger(sentenceIndex) || shown.index < 0 || shown.index >= sentences.length) {
+        const total = shown.offset + sentences.length;
+        throw new RangeError(`Sentence index ${sentenceIndex} is out of range (output has ${total} sentences)`);
+    }
+    const sentence = sentences[shown.index];
+
+    if (!await clickTextAt(page, OUTPUT_SELECTOR, sentence.start)) {
+        const debugFile = await saveHTMLForDebug(page, `sentence-${sentenceIndex + 1}-not-found.html`, isDev);
+        throw new SelectorNotFoundError('Sentence not found in the output', {selector: OUTPUT_SELECTOR, debugFile});
+    }
+    await wait(500);
+
+    // Some layouts show a Rephrase button in the popup before listing the alternatives
+    let alternatives = await waitForOptionTexts(page, ALTERNATIVE_SELECTORS, 3000);
+    if (alternatives.length === 0) {
+        await safePageOperation(async () => page.evaluate((selectors) => {
+            const button = selectors.map((selector) => document.querySelector(selector)).find(Boolean);
+            if (button) button.click();
+        }, REPHRASE_BUTTON_SELECTORS));
+        alternatives = await waitForOptionTexts(page, ALTERNATIVE_SELECTORS);
+    }
+    await saveHTMLForDebug(page, `sentence-${sentenceIndex + 1}-alternatives.html`, isDev);
+
+    // Close the popup so the next click starts from a clean state
+    await safePageOperation(async () => page.keyboard.press('Escape'));
+
+    if (alternatives.length === 0) {
+        const debugFile = await saveHTMLForDebug(page, `sentence-${sentenceIndex + 1}-no-alternatives.html`, isDev);
+        throw new SelectorNotFoundError('Sentence alternatives not found', {
+            selector: ALTERNATIVE_SELECTORS.join(', '),
+            debugFile,
+        });
+    }
+    return alternatives.filter((alternative) => alternative !== sentence.text);
+}
+
+/**
+ * List the words of an output text and their offsets in it, leaving out spaces and punctuation
+ * @param {string} output - Output text
+ * @returns {Object[]} Words ({text, start})
+ */
+function splitOutputWords(output) {
+    const segmenter = new Intl.Segmenter('en', {granularity: 'word'});
+    return Array.from(segmenter.segment(output))
+        .filter(({isWordLike}) => isWordLike)
+        .map(({segment, index}) => ({text: segment, start: index}));
+}
+
+/**
+ * Get the words of the output currently shown and their offsets in it
+ * @param {Object} page - Puppeteer page object
+ * @returns {Promise<Object[]>} Words ({text, start}) with start offsets in the output text
+ * @throws {OutputEmptyError} If there is no output
+ */
+async function getOutputWords(page) {
+    const output = await getOutputContent(page, OUTPUT_SELECTOR);
+    if (!output) {
+        throw new OutputEmptyError('No paraphrased output on the page', {selector: OUTPUT_SELECTOR});
+    }
+    return splitOutputWords(output);
+}
+
+/**
+ * Click a word of the last paraphrase and read the synonyms offered in the thesaurus popup (the popup is left open)
+ * @param {Object} page - Puppeteer page with a paraphrased output
+ * @param {number} wordIndex - 0-based index of the word in the whole output, counted part by part
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<Object>} The clicked word and its synonyms ({word, synonyms})
+ * @throws {RangeError} If there is no word at the index
+ * @throws {InvalidOptionError} If the word is in an earlier part of a multi-part paraphrase
+ * @throws {QuillBotError} If the word or the synonyms cannot be found
+ */
+async function openThesaurus(page, wordIndex, isDev) {
+    const words = await getOutputWords(page);
+    const shown = toShownPartIndex(page, wordIndex, splitOutputWords, 'wordIndex');
+    if (!Number.isInteger(wordIndex) || shown.index < 0 || shown.index >= words.length) {
+        const total = shown.offset + words.length;
+        throw new RangeError(`Word index ${wordIndex} is out of range (output has ${total} words)`);
+    }
+    const word = words[shown.index];
+
+    if (!await clickTextAt(page, OUTPUT_SELECTOR, word.start)) {
+        const debugFile = await saveHTMLForDebug(page, `word-${wordIndex + 1}-not-found.html`, isDev);
+        throw new SelectorNotFoundError('Word not found in the output', {selector: OUTPUT_SELECTOR, debugFile});
+    }
+    await wait(500);
+
+    const synonyms = await waitForOptionTexts(page, SYNONYM_SELECTORS);
+    await saveHTMLForDebug(page, `word-${wordIndex + 1}-synonyms.html`, isDev);
+    if (synonyms.length === 0) {
+        await safePageOperation(async () => page.keyboard.press('Escape'));
+        const debugFile = await saveHTMLForDebug(page, `word-${wordIndex + 1}-no-synonyms.html`, isDev);
+        throw new SelectorNotFoundError('Synonyms not found', {selector: SYNONYM_SELECTORS.join(', '), debugFile});
+    }
+    return {word: word.text, synonyms: synonyms.filter((synonym) => synonym !== word.text)};
+}
+
+/**
+ * Get the thesaurus synonyms for a word of the last paraphrase
+ * @param {Object} page - Puppeteer page with a paraphrased output
+ * @param {number} wordIndex - 0-based index of the word in the whole output, counted part by part
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<Object>} The word and its synonyms ({word, synonyms})
+ * @throws {RangeError} If there is no word at the index
+ * @throws {InvalidOptionError} If the word is in an earlier part of a multi-part paraphrase
+ * @throws {QuillBotError} If the word or the synonyms cannot be found
+ */
+async function getWordSynonyms(page, wordIndex, isDev = false) {
+    const result = await openThesaurus(page, wordIndex, isDev);
+
+    // Close the popup so the next click starts from a clean state
+    await safePageOperation(async () => page.keyboard.press('Escape'));
+    return result;
+}
+
+/**
+ * Replace a word of the last paraphrase with one of its thesaurus synonyms
+ * @param {Object} page - Puppeteer page with a paraphrased output
+ * @param {number} wordIndex - 0-based index of the word in the whole output, counted part by part
+ * @param {string} synonym - Synonym to apply, as listed by getWordSynonyms
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<string>} Updated output text of the part shown on the page
+ * @throws {RangeError} If there is no word at the index
+ * @throws {InvalidOptionError} If the word is in an earlier part of a multi-part paraphrase
+ * @throws {QuillBotError} If the synonym is not offered or the output does not update
+ */
+async function applyWordSynonym(page, wordIndex, synonym, isDev = false) {
+    const previousOutput = await getOutputContent(page, OUTPUT_SELECTOR);
+    const {word, synonyms} = await openThesaurus(page, wordIndex, isDev);
+    if (!synonyms.includes(synonym)) {
+        await safePageOperation(async () => page.keyboard.press('Escape'));
+        throw new QuillBotError(`Synonym "${synonym}" is not offered for "${word}" (options: ${synonyms.join(', ')})`, {
+            selector: SYNONYM_SELECTORS.join(', '),
+        });
+    }
+
+    await safePageOperation(async () => page.evaluate((selectors, choice) => {
+        for (const selector of selectors) {
+            const option = Array.from(document.querySelectorAll(selector))
+                .find((el) => (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim() === choice);
+            if (option) {
+                option.click();
+                return;
+            }
+        }
+    }, SYNONYM_SELECTORS, synonym));
+
+    try {
+        await safePageOperation(async () => page.waitForFunction((sel, previous) => {
+            const element = document.querySelector(sel);
+            return element && (element.textContent || '').trim() !== previous;
+        }, {timeout: 10000, polling: 250}, OUTPUT_SELECTOR, previousOutput));
+    } catch (error) {
+        const debugFile = await saveHTMLForDebug(page, `word-${wordIndex + 1}-synonym-not-applied.html`, isDev);
+        throw new SubmissionTimeoutError(`Output did not update after choosing "${synonym}"`, {
+            selector: OUTPUT_SELECTOR,
+            debugFile,
+            cause: error,
+        });
+    }
+
+    console.log(`Replaced "${word}" with "${synonym}".`);
+    const updated = await getOutputContent(page, OUTPUT_SELECTOR, {preserveBreaks: true});
+    // Later indexes count the words of the updated part
+    const outputs = paraphrasedParts.get(page);
+    if (outputs && updated) {
+        outputs[outputs.length - 1] = updated;
     }
+    return updated;
 }
 
 module.exports = {
-    paraphraser,
+    getWordLimit,
+    initializeParaphraserPage,
+    readParaphraserCapabilities,
+    readParaphraserDefaults,
+    paraphraseOnPage,
+    getSentenceAlternatives,
+    getWordSynonyms,
+    applyWordSynonym,
 };
@@ -0,0 +1,294 @@
+const {QuillBotClient} = require('./client');
+const {launchBrowser, closeBrowser} = require('./utils');
+
+const DEFAULT_CONCURRENCY = 2;
+
+/**
+ * Pool of QuillBot clients sharing one browser, each in its own browser context,
+ * that processes queued texts in parallel with a concurrency limit
+ */
+class QuillBotPool {
+    /**
+     * @param {Object} options - Options object
+     * @param {boolean|string} options.headless - Browser headless mode (default: 'new')
+     * @param {number} options.concurrency - Number of texts processed in parallel (default: 2)
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.concurrency = Math.max(1, parseInt(options.concurrency, 10) || DEFAULT_CONCURRENCY);
+        this.browser = null;
+        this.clients = [];
+        this.idleClients = [];
+        this.queue = [];
+        this.opening = null;
+        this.relaunching = null;
+        this.clientOptions = null;
+    }
+
+    /**
+     * Launch the shared browser and one client per concurrency slot (no-op if already open)
+     * @returns {Promise<QuillBotPool>} The pool, for chaining
+     */
+    async open() {
+        if (!this.opening) {
+            this.opening = (async () => {
+                // Copy the options before launchBrowser normalizes headless, so clients see the caller's setting
+                this.clientOptions = {...this.options};
+                const {browser} = await launchBrowser(this.options);
+                this.browser = browser;
+
+                for (let i = 0; i < this.concurrency; i += 1) {
+                    const client = await this.createWorker();
+                    this.clients.push(client);
+                    this.idleClients.push(client);
+                }
+                console.log(`Pool opened with ${this.concurrency} workers`);
+            })();
+        }
+
+        try {
+            await this.opening;
+        } catch (error) {
+            this.opening = null;
+            throw error;
+        }
+        return this;
+    }
+
+    /**
+     * Create a client in a new browser context of the shared browser
+     * @returns {Promise<QuillBotClient>} Opened client
+     */
+    async createWorker() {
+        const context = await this.browser.createBrowserContext();
+        const client = new QuillBotClient({...this.clientOptions, browser: context});
+        await client.open();
+        return client;
+    }
+
+    /**
+     * Check whether a client can still run tasks
+     * @param {QuillBotClient} client - Pool client
+     * @returns {boolean} True if its browser is connected and no call reported a crash
+     */
+    isWorkerHealthy(client) {
+        return !client.crashed && Boolean(this.browser && this.browser.connected)
+            && client.options.browser.browser() === this.browser;
+    }
+
+    /**
+     * Count the clients that can still run tasks
+     * @returns {Object} Worker counts ({total, healthy})
+     */
+    getWorkerHealth() {
+        return {
+            total: this.clients.length,
+            healthy: this.clients.filter((client) => this.isWorkerHealthy(client)).length,
+        };
+    }
+
+    /**
+     * Replace a crashed client with a new one in a fresh browser context, relaunching the browser if it is gone
+     * @param {QuillBotClient} client - Crashed client
+     * @returns {Promise<QuillBotClient|null>} The new client, or null if the pool was closed meanwhile
+     */
+    async replaceWorker(client) {
+        console.log('Pool worker crashed, replacing its browser context');
+        await client.close().catch(() => {});
+        await client.options.browser.close().catch(() => {});
+
+        if (!this.browser || !this.browser.connected) {
+            // Workers that crash together share one relaunch
+            if (!this.relaunching) {
+                const crashed = this.browser;
+                this.relaunching = (async () => {
+                    await closeBrowser(crashed, {headless: this.options.headless, _success: true}).catch(() => {});
+                    const {browser} = await launchBrowser(this.options);
+                    this.browser = browser;
+                    console.log('Pool browser relaunched');
+                })().finally(() => {
+                    this.relaunching = null;
+                });
+            }
+            await this.relaunching;
+        }
+
+        const replacement = await this.createWorker();
+        const index = this.clients.indexOf(client);
+        if (index === -1) {
+            await replacement.close();
+            return null;
+        }
+        this.clients[index] = replacement;
+        return replacement;
+    }
+
+    /**
+     * Close all clients and the shared browser, rejecting any tasks still queued
+     * @returns {Promise<void>}
+     */
+    async close() {
+        const pending = this.queue.splice(0);
+        pending.forEach((task) => task.reject(new Error('Pool closed before the task started')));
+        // A relaunch in progress would otherwise leave its new browser running
+        if (this.relaunching) {
+            await this.relaunching.catch(() => {});
+        }
+
+        const {browser, clients} = this;
+        this.browser = null;
+        this.clients = [];
+        this.idleClients = [];
+        this.opening = null;
+
+        await Promise.all(clients.map((client) => client.close()));
+        await closeBrowser(browser, {headless: this.options.headless, _success: true});
+    }
+
+    /**
+     * Queue a text for paraphrasing
+     * @param {string} text - Text to paraphrase
+     * @param {Object} options - Paraphrasing options (see QuillBotClient.paraphrase)
+     * @returns {Promise<string|null>} Paraphrased text or null on error
+     */
+    paraphrase(text, options = {}) {
+        return this.enqueue('paraphrase', text, options);
+    }
+
+    /**
+     * Queue a text for translation
+     * @param {string} text - Text to translate
+     * @param {Object} options - Translation options (see QuillBotClient.translate)
+     * @returns {Promise<string|Object|null>} Translated text (or detailed result) or null on error
+     */
+    translate(text, options = {}) {
+        return this.enqueue('translate', text, options);
+    }
+
+    /**
+     * Queue a text for a grammar check
+     * @param {string} text - Text to check
+     * @param {Object} options - Grammar checker options (see QuillBotClient.checkGrammar)
+     * @returns {Promise<Object|null>} Check result or null on error
+     */
+    checkGrammar(text, options = {}) {
+        return this.enqueue('checkGrammar', text, options);
+    }
+
+    /**
+     * Queue a text for summarizing
+     * @param {string} text - Text to summarize
+     * @param {Object} options - Summarizer options (see QuillBotClient.summarize)
+     * @returns {Promise<Object|null>} Summary result or null on error
+     */
+    summarize(text, options = {}) {
+        return this.enqueue('summarize', text, options);
+    }
+
+    /**
+     * Queue a text for an AI content check
+     * @param {string} text - Text to check
+     * @param {Object} options - AI detector options (see QuillBotClient.detectAI)
+     * @returns {Promise<Object|null>} Detection result or null on error
+     */
+    detectAI(text, options = {}) {
+        return this.enqueue('detectAI', text, options);
+    }
+
+    /**
+     * Queue a source for a citation
+     * @param {string|Object} source - URL, DOI, or manual fields (see QuillBotClient.cite)
+     * @param {Object} options - Citation generator options (see QuillBotClient.cite)
+     * @returns {Promise<Object|null>} Citation or null on error
+     */
+    cite(source, options = {}) {
+        return this.enqueue('cite', source, options);
+    }
+
+    /**
+     * Paraphrase many texts in parallel
+     * @param {string[]} texts - Texts to paraphrase
+     * @param {Object} options - Paraphrasing options applied to every text
+     * @returns {Promise<Array<string|null>>} Results in input order (null for failed texts)
+     */
+    paraphraseAll(texts, options = {}) {
+        return Promise.all(texts.map((text) => this.paraphrase(text, options)));
+    }
+
+    /**
+     * Translate many texts in parallel
+     * @param {string[]} texts - Texts to translate
+     * @param {Object} options - Translation options applied to every text
+     * @returns {Promise<Array<string|null>>} Results in input order (null for failed texts)
+     */
+    translateAll(texts, options = {}) {
+        return Promise.all(texts.map((text) => this.translate(text, options)));
+    }
+
+    /**
+     * Add a task to the FIFO queue and start it once a client is free
+     * @param {string} method - QuillBotClient method name
+     * @param {string} text - Text to process
+     * @param {Object} options - Options for the client call
+     * @returns {Promise<*>} Result of the client call
+     */
+    async enqueue(method, text, options) {
+        await this.open();
+        return new Promise((resolve, reject) => {
+            this.queue.push({
+                method, text, options, resolve, reject,
+            });
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Hand queued tasks to idle clients in FIFO order
+     */
+    dispatch() {
+        while (this.idleClients.length > 0 && this.queue.length > 0) {
+            const client = this.idleClients.shift();
+            const task = this.queue.shift();
+            this.runTask(client, task);
+        }
+    }
+
+    /**
+     * Run a task on a client and return the client to the idle list afterwards
+     * @param {QuillBotClient} client - Client to run the task on
+     * @param {Object} task - Queued task
+     * @returns {Promise<void>}
+     */
+    async runTask(client, task) {
+        let worker = client;
+        try {
+            // A client left on a crashed context or browser would fail every task it gets
+            if (!this.isWorkerHealthy(worker)) {
+                worker = await this.replaceWorker(worker);
+                if (!worker) {
+                    throw new Error('Pool closed before the task started');
+                }
+            }
+            task.resolve(await worker[task.method](task.text, task.options));
+        } catch (error) {
+            task.reject(error);
+        }
+
+        try {
+            if (worker && !this.isWorkerHealthy(worker) && this.clients.includes(worker)) {
+                worker = await this.replaceWorker(worker);
+            }
+        } catch (error) {
+            console.error(`Could not replace pool worker: ${error.message}`);
+        }
+        // Only put the client back if the pool was not closed in the meantime
+        if (worker && this.clients.includes(worker)) {
+            this.idleClients.push(worker);
+            this.dispatch();
+        }
+    }
+}
+
+module.exports = {
+    QuillBotPool,
+};
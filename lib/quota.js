@@ -0,0 +1,122 @@
+const {QuotaExceededError} = require('./errors');
+const {safePageOperation, saveHTMLForDebug} = require('./utils');
+
+// Elements where QuillBot shows limit modals and warnings. Banners and premium badges are left out:
+// free accounts always see upsells there, and those do not mean a limit was reached.
+const NOTICE_SELECTORS = [
+    '[role="dialog"]',
+    '[role="alertdialog"]',
+    '[role="alert"]',
+];
+
+// Checked in order, so the most specific status wins
+const QUOTA_PATTERNS = [
+    {
+        type: 'daily-limit',
+        pattern: /daily limit|reached (?:your|the) (?:free )?limit|limit (?:has been )?reached|come back tomorrow|out of (?:free )?(?:paraphrases|translations|credits)/i,
+    },
+    {
+        type: 'word-limit',
+        pattern: /word limit|character limit|exceed(?:s|ed)? (?:the )?\d[\d,]* (?:words|characters)|only (?:the first )?\d[\d,]* (?:words|characters)/i,
+    },
+];
+
+// Upsell wording; only meaningful right after using a premium feature, never as a usage limit
+const UPGRADE_PATTERN = /upgrade to (?:premium|unlock)|go premium|premium (?:feature|only|users)|available (?:with|on|for) premium/i;
+
+// Phrases that carry the reset time, e.g. "Try again in 3 hours" or "resets at 12:00 AM"
+const RESET_PATTERN = /(?:resets?|try again|available again|come back|renews?)\s+((?:in|at|on|after|tomorrow)[^.!\n]*)/i;
+
+/**
+ * Read the visible text of notice elements (dialogs and alerts) on the page
+ * @param {Object} page - Puppeteer page object
+ * @returns {Promise<string[]>} Text of each visible notice
+ */
+async function getNoticeTexts(page) {
+    return safePageOperation(async () => page.evaluate((selectors) => {
+        const texts = [];
+        const seen = new Set();
+        for (const selector of selectors) {
+            for (const element of document.querySelectorAll(selector)) {
+                const style = window.getComputedStyle(element);
+                const isVisible = style.display !== 'none' && style.visibility !== 'hidden' && element.getClientRects().length > 0;
+                const text = (element.innerText || element.textContent || '').trim();
+                if (isVisible && text && !seen.has(text)) {
+                    seen.add(text);
+                    texts.push(text);
+                }
+            }
+        }
+        return texts;
+    }, NOTICE_SELECTORS), 2, page);
+}
+
+/**
+ * Check the page for QuillBot usage limit modals and word-limit warnings
+ * @param {Object} page - Puppeteer page object
+ * @returns {Promise<Object|null>} Quota status ({type, message, resetInfo}) or null if no limit was found
+ */
+async function detectQuotaStatus(page) {
+    let texts;
+    try {
+        texts = await getNoticeTexts(page);
+    } catch (error) {
+        console.log(`Could not check for usage limits (continuing): ${error.message}`);
+        return null;
+    }
+
+    for (const {type, pattern} of QUOTA_PATTERNS) {
+        const message = texts.find((text) => pattern.test(text));
+        if (message) {
+            const resetMatch = message.match(RESET_PATTERN);
+            return {
+                type,
+                message: message.replace(/\s+/g, ' '),
+                resetInfo: resetMatch ? resetMatch[1].trim() : null,
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Find an upgrade prompt in the dialogs and alerts on the page, e.g. after selecting a premium-only mode
+ * @param {Object} page - Puppeteer page object
+ * @returns {Promise<string|null>} Text of the prompt or null if none is shown
+ */
+async function detectUpgradePrompt(page) {
+    try {
+        const message = (await getNoticeTexts(page)).find((text) => UPGRADE_PATTERN.test(text));
+        return message ? message.replace(/\s+/g, ' ') : null;
+    } catch (error) {
+        console.log(`Could not check for upgrade prompts (continuing): ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Throw a QuotaExceededError if the page shows a usage limit
+ * @param {Object} page - Puppeteer page object
+ * @param {Object} context - Error context (e.g., partIndex) and debug settings
+ * @param {boolean} context.isDev - Whether in development mode
+ * @param {string} context.debugName - Base name for the debug HTML file
+ * @returns {Promise<void>}
+ * @throws {QuotaExceededError} If a limit modal or word-limit warning is shown
+ */
+async function assertWithinQuota(page, {isDev = false, debugName = 'quota', ...context} = {}) {
+    const quota = await detectQuotaStatus(page);
+    if (!quota) {
+        return;
+    }
+
+    const debugFile = await saveHTMLForDebug(page, `${debugName}-quota-exceeded.html`, isDev);
+    const reset = quota.resetInfo ? ` (resets ${quota.resetInfo})` : '';
+    console.error(`QuillBot usage limit reached: ${quota.type}${reset}`);
+    throw new QuotaExceededError(`QuillBot usage limit reached: ${quota.message}`, {...context, debugFile, quota});
+}
+
+module.exports = {
+    detectQuotaStatus,
+    detectUpgradePrompt,
+    assertWithinQuota,
+};
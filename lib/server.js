@@ -0,0 +1,374 @@
+const {randomUUID} = require('crypto');
+const http = require('http');
+
+const {InvalidOptionError, serializeError} = require('./errors');
+const {QuillBotPool} = require('./pool');
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_JOB_TTL = 60 * 60 * 1000; // Finished jobs can be polled for an hour
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+// Paths a job can be posted to, and the pool method each one runs
+const JOB_ENDPOINTS = {
+    '/paraphrase': 'paraphrase',
+    '/translate': 'translate',
+};
+// Options that belong to the shared browser or the host, so a request body may not set them
+const SERVER_OPTIONS = [
+    'headless',
+    'browser',
+    'throwOnError',
+    'account',
+    'cookies',
+    'cookiesFile',
+    'userDataDir',
+    'loginUrl',
+    'capabilitiesCacheFile',
+];
+
+/**
+ * Create an error that is answered with a given HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} The error
+ */
+function httpError(status, message) {
+    return Object.assign(new Error(message), {status});
+}
+
+/**
+ * Send a JSON response; errors nested in results (e.g., translation failures) are serialized too
+ * @param {Object} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ * @param {Object} headers - Extra headers
+ * @returns {void}
+ */
+function sendJson(res, status, body, headers = {}) {
+    const json = JSON.stringify(body, (_key, value) => (value instanceof Error ? serializeError(value) : value));
+    res.writeHead(status, {'Content-Type': 'application/json; charset=utf-8', ...headers});
+    res.end(json);
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {Object} req - HTTP request
+ * @param {number} maxBodySize - Largest accepted body in bytes
+ * @returns {Promise<Object>} Parsed body
+ * @throws {Error} If the body is too large (413) or not a JSON object (400)
+ */
+async function readJsonBody(req, maxBodySize) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > maxBodySize) {
+            throw httpError(413, `Request body is larger than ${maxBodySize} bytes`);
+        }
+        chunks.push(chunk);
+    }
+
+    let body;
+    try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+        throw httpError(400, `Request body is not valid JSON: ${error.message}`);
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw httpError(400, 'Request body must be a JSON object');
+    }
+    return body;
+}
+
+/**
+ * Split a job request body into the text and the tool options
+ * @param {Object} body - Parsed body ({text, ...options})
+ * @returns {Object} Text and options ({text, options})
+ * @throws {Error} If the text is missing (400)
+ * @throws {InvalidOptionError} If the body sets a server option
+ */
+function parseJobBody(body) {
+    const {text, ...options} = body;
+    if (typeof text !== 'string' || !text.trim()) {
+        throw httpError(400, 'Request body needs a non-empty "text" string');
+    }
+    const serverOption = SERVER_OPTIONS.find((option) => option in options);
+    if (serverOption) {
+        throw new InvalidOptionError(`${serverOption} is set when the server starts and cannot be sent with a job`, {
+            option: serverOption,
+        });
+    }
+    return {text, options};
+}
+
+/**
+ * Local HTTP server that queues paraphrasing and translation jobs on one shared browser.
+ * POST /paraphrase and POST /translate take ({text, ...options}) and answer 202 with the job,
+ * GET /jobs/:id returns the job's status and result, and GET /health reports the browser and queue.
+ */
+class QuillBotServer {
+    /**
+     * @param {Object} options - Options object, also passed to the QuillBotPool (headless, account, cookiesFile, ...)
+     * @param {number} options.port - Port to listen on, 0 for any free port (default: 3000)
+     * @param {string} options.host - Address to listen on (default: '127.0.0.1')
+     * @param {number} options.concurrency - Number of jobs run in parallel (default: 2)
+     * @param {number} options.jobTtl - How long finished jobs can be polled, in milliseconds (default: 1 hour)
+     * @param {number} options.maxBodySize - Largest accepted request body in bytes (default: 1 MB)
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.port = options.port ?? DEFAULT_PORT;
+        this.host = options.host || DEFAULT_HOST;
+        this.jobTtl = options.jobTtl ?? DEFAULT_JOB_TTL;
+        this.maxBodySize = options.maxBodySize || DEFAULT_MAX_BODY_SIZE;
+        this.pool = new QuillBotPool(options);
+        this.httpServer = null;
+        this.jobs = new Map();
+        this.queue = [];
+        this.running = 0;
+        this.startedAt = null;
+    }
+
+    /**
+     * Launch the shared browser and start listening
+     * @returns {Promise<Object>} Address the server listens on ({host, port})
+     */
+    async listen() {
+        await this.pool.open();
+        this.httpServer = http.createServer((req, res) => this.handleRequest(req, res));
+        await new Promise((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(this.port, this.host, resolve);
+        });
+        this.startedAt = Date.now();
+
+        const {address, port} = this.httpServer.address();
+        console.log(`QuillBot server listening on http://${address}:${port}`);
+        return {host: address, port};
+    }
+
+    /**
+     * Stop listening, fail the jobs still queued or running and close the shared browser
+     * @returns {Promise<void>}
+     */
+    async close() {
+        const {httpServer} = this;
+        this.httpServer = null;
+        // Running jobs would otherwise only fail once the pool closes, after the connections are gone
+        this.jobs.forEach((job) => {
+            if (job.status === 'running') {
+                this.finishJob(job, null, new Error('Server closed while the job was running'));
+            }
+        });
+        if (httpServer) {
+            httpServer.closeAllConnections();
+            await new Promise((resolve) => {
+                httpServer.close(() => resolve());
+            });
+        }
+
+        const pending = this.queue.splice(0);
+        pending.forEach((job) => this.finishJob(job, null, new Error('Server closed before the job started')));
+        await this.pool.close();
+    }
+
+    /**
+     * Route a request and answer errors as JSON
+     * @param {Object} req - HTTP request
+     * @param {Object} res - HTTP response
+     * @returns {Promise<void>}
+     */
+    async handleRequest(req, res) {
+        try {
+            await this.route(req, res);
+        } catch (error) {
+            let status = error.status || 500;
+            if (error instanceof InvalidOptionError) {
+                status = 400;
+            }
+            if (status === 500) {
+                console.error(`Error handling ${req.method} ${req.url}: ${error.message}`);
+            }
+            const headers = {};
+            if (error.allow) {
+                headers.Allow = error.allow;
+            }
+            if (status === 413) {
+                // The rest of the rejected body is not read, so the connection cannot be reused
+                headers.Connection = 'close';
+            }
+            sendJson(res, status, {error: serializeError(error)}, headers);
+        }
+    }
+
+    /**
+     * Answer a request
+     * @param {Object} req - HTTP request
+     * @param {Object} res - HTTP response
+     * @returns {Promise<void>}
+     * @throws {Error} If the path is unknown (404) or the method is not allowed (405)
+     */
+    async route(req, res) {
+        const {pathname} = new URL(req.url, 'http://localhost');
+        const allow = (method) => {
+            if (req.method !== method) {
+                throw Object.assign(httpError(405, `${req.method} is not allowed on ${pathname}`), {allow: method});
+            }
+        };
+
+        if (pathname === '/health') {
+            allow('GET');
+            const health = this.getHealth();
+            sendJson(res, health.status === 'unavailable' ? 503 : 200, health);
+            return;
+        }
+
+        if (JOB_ENDPOINTS[pathname]) {
+            allow('POST');
+            const {text, options} = parseJobBody(await readJsonBody(req, this.maxBodySize));
+            const job = this.createJob(JOB_ENDPOINTS[pathname], text, options);
+            sendJson(res, 202, this.describeJob(job), {Location: `/jobs/${job.id}`});
+            return;
+        }
+
+        const jobMatch = /^\/jobs\/([^/]+)$/.exec(pathname);
+        if (jobMatch) {
+            allow('GET');
+            const job = this.jobs.get(jobMatch[1]);
+            if (!job) {
+                throw httpError(404, `Job ${jobMatch[1]} not found (finished jobs are kept for ${this.jobTtl} ms)`);
+            }
+            sendJson(res, 200, this.describeJob(job));
+            return;
+        }
+
+        throw httpError(404, `No endpoint at ${pathname}`);
+    }
+
+    /**
+     * Queue a job and start it when a worker is free
+     * @param {string} type - Pool method ('paraphrase' or 'translate')
+     * @param {string} text - Text to process
+     * @param {Object} options - Tool options from the request body
+     * @returns {Object} The job
+     */
+    createJob(type, text, options) {
+        const job = {
+            id: randomUUID(),
+            type,
+            status: 'queued',
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            result: null,
+            error: null,
+            text,
+            options,
+        };
+        this.jobs.set(job.id, job);
+        this.queue.push(job);
+        this.dispatch();
+        return job;
+    }
+
+    /**
+     * Start queued jobs in FIFO order while fewer than `concurrency` are running
+     */
+    dispatch() {
+        while (this.running < this.pool.concurrency && this.queue.length > 0) {
+            this.runJob(this.queue.shift());
+        }
+    }
+
+    /**
+     * Run a job on the pool and record its result or error
+     * @param {Object} job - Queued job
+     * @returns {Promise<void>}
+     */
+    async runJob(job) {
+        this.running += 1;
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        try {
+            const result = await this.pool[job.type](job.text, {...job.options, throwOnError: true});
+            this.finishJob(job, result, null);
+        } catch (error) {
+            this.finishJob(job, null, error);
+        } finally {
+            this.running -= 1;
+            this.dispatch();
+        }
+    }
+
+    /**
+     * Mark a job as completed or failed and forget it once its TTL has passed
+     * @param {Object} job - Job
+     * @param {*} result - Tool result, if the job completed
+     * @param {Error} error - Error, if the job failed
+     * @returns {void}
+     */
+    finishJob(job, result, error) {
+        // A job failed by close() keeps that state when its pool call settles later
+        if (job.finishedAt) {
+            return;
+        }
+        Object.assign(job, {
+            status: error ? 'failed' : 'completed',
+            finishedAt: new Date().toISOString(),
+            result,
+            error,
+            text: null,
+            options: null,
+        });
+        setTimeout(() => this.jobs.delete(job.id), this.jobTtl).unref();
+    }
+
+    /**
+     * Public view of a job
+     * @param {Object} job - Job
+     * @returns {Object} Job ({id, type, status, position, createdAt, startedAt, finishedAt, result, error});
+     *   position is the 0-based place in the queue while queued, otherwise null
+     */
+    describeJob(job) {
+        return {
+            id: job.id,
+            type: job.type,
+            status: job.status,
+            position: job.status === 'queued' ? this.queue.indexOf(job) : null,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            result: job.result,
+            error: job.error && serializeError(job.error),
+        };
+    }
+
+    /**
+     * Report whether the shared browser and its workers are up and how busy the queue is
+     * @returns {Object} Health ({status, browser, workers, concurrency, queued, running, jobs, uptime});
+     *   status is 'ok', 'degraded' when some workers crashed and wait to be replaced,
+     *   or 'unavailable' when the browser is gone or no worker can run jobs
+     */
+    getHealth() {
+        const connected = Boolean(this.pool.browser && this.pool.browser.connected);
+        const workers = this.pool.getWorkerHealth();
+        let status = 'unavailable';
+        if (connected && workers.healthy > 0) {
+            status = workers.healthy === workers.total ? 'ok' : 'degraded';
+        }
+        return {
+            status,
+            browser: connected ? 'connected' : 'disconnected',
+            workers,
+            concurrency: this.pool.concurrency,
+            queued: this.queue.length,
+            running: this.running,
+            jobs: this.jobs.size,
+            uptime: this.startedAt ? Math.round((Date.now() - this.startedAt) / 1000) : 0,
+        };
+    }
+}
+
+module.exports = {
+    QuillBotServer,
+};
@@ -0,0 +1,238 @@
+const {InvalidOptionError, SelectorNotFoundError} = require('./errors');
+const {safePageOperation, saveHTMLForDebug, wait} = require('./utils');
+
+// Paraphraser settings from the gear icon panel, keyed by option name
+const PARAPHRASER_SETTINGS = {
+    paraphraseQuotations: {label: 'Paraphrase quotations', type: 'boolean'},
+    useContractions: {label: 'Use contractions', type: 'boolean'},
+    preferActiveVoice: {label: 'Prefer active voice', type: 'boolean'},
+    showChangedWords: {label: 'Show changed words', type: 'boolean'},
+    showStructuralChanges: {label: 'Show structural changes', type: 'boolean'},
+    showLongestUnchangedWords: {label: 'Show longest unchanged words', type: 'boolean'},
+    showLegend: {label: 'Show legend', type: 'boolean'},
+    showTooltips: {label: 'Show tooltips', type: 'boolean'},
+    englishDialect: {
+        label: 'English dialect',
+        type: 'choice',
+        values: ['American', 'British', 'Canadian', 'Australian'],
+    },
+};
+const SETTINGS_BUTTON_SELECTORS = [
+    '[data-testid*="settings" i]',
+    'button[aria-label*="settings" i]',
+    'button[title*="settings" i]',
+];
+// Attribute used to find a setting's control again between page calls
+const CONTROL_MARKER = 'data-quillbot-api-setting';
+
+/**
+ * Check a settings object against the known paraphraser settings
+ * @param {Object} settings - Settings keyed by option name (e.g., {useContractions: false})
+ * @returns {Object} The settings with choice values in their canonical spelling
+ * @throws {InvalidOptionError} If a setting is unknown or its value is not supported
+ */
+function validateSettings(settings) {
+    if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+        throw new InvalidOptionError('settings must be an object', {option: 'settings'});
+    }
+
+    const validated = {};
+    for (const [key, value] of Object.entries(settings)) {
+        const setting = PARAPHRASER_SETTINGS[key];
+        if (!setting) {
+            throw new InvalidOptionError(`Unknown setting "${key}". Available settings: ${Object.keys(PARAPHRASER_SETTINGS).join(', ')}`, {
+                option: `settings.${key}`,
+            });
+        }
+
+        if (setting.type === 'boolean') {
+            if (typeof value !== 'boolean') {
+                throw new InvalidOptionError(`Setting "${key}" must be true or false`, {option: `settings.${key}`});
+            }
+            validated[key] = value;
+        } else {
+            const choice = setting.values.find((option) => option.toLowerCase() === String(value).toLowerCase());
+            if (!choice) {
+                throw new InvalidOptionError(`Setting "${key}" must be one of: ${setting.values.join(', ')}`, {
+                    option: `settings.${key}`,
+                });
+            }
+            validated[key] = choice;
+        }
+    }
+    return validated;
+}
+
+/**
+ * Open the paraphraser settings panel (gear icon)
+ * @param {Object} page - Puppeteer page object
+ * @returns {Promise<boolean>} True if the settings button was clicked
+ */
+async function openSettingsPanel(page) {
+    const clicked = await safePageOperation(async () => page.evaluate((selectors) => {
+        for (const selector of selectors) {
+            const button = Array.from(document.querySelectorAll(selector)).find((el) => el.getClientRects().length > 0);
+            if (button) {
+                button.click();
+                return true;
+            }
+        }
+        return false;
+    }, SETTINGS_BUTTON_SELECTORS), 2, page);
+    await wait(800);
+    return clicked;
+}
+
+/**
+ * Find the control for a setting by its label, mark it and read its current value
+ * @param {Object} page - Puppeteer page object
+ * @param {string} key - Setting name, used as the marker value
+ * @param {string} label - Label text shown in the settings panel
+ * @returns {Promise<Object|null>} Control info ({kind, value}) or null if the setting is not on the page
+ */
+async function findSettingControl(page, key, label) {
+    return safePageOperation(async () => page.evaluate((markerName, markerValue, labelText) => {
+        const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+        const labelElement = Array.from(document.querySelectorAll('label, p, span, div, h6'))
+            .filter((el) => el.getClientRects().length > 0)
+            .find((el) => normalize(el.textContent) === normalize(labelText));
+        if (!labelElement) {
+            return null;
+        }
+
+        // Climb from the label to the row that holds its control
+        const controlSelector = 'input[type="checkbox"], [role="switch"], [role="checkbox"], select, [role="combobox"], [role="radiogroup"]';
+        let row = labelElement;
+        let control = null;
+        for (let depth = 0; row && depth < 5 && !control; depth += 1) {
+            control = row.querySelector(controlSelector);
+            if (!control) row = row.parentElement;
+        }
+        if (!control) {
+            return null;
+        }
+        control.setAttribute(markerName, markerValue);
+
+        if (control.matches('input[type="checkbox"], [role="switch"], [role="checkbox"]')) {
+            const value = control.matches('input') ? control.checked : control.getAttribute('aria-checked') === 'true';
+            return {kind: 'toggle', value};
+        }
+        if (control.matches('select')) {
+            const option = control.options[control.selectedIndex];
+            return {kind: 'select', value: option ? option.textContent.trim() : null};
+        }
+        if (control.matches('[role="radiogroup"]')) {
+            const checked = control.querySelector('[aria-checked="true"], input:checked');
+            const checkedLabel = checked && (checked.closest('label') || checked);
+            return {kind: 'radio', value: checkedLabel ? checkedLabel.textContent.trim() : null};
+        }
+        return {kind: 'combobox', value: control.textContent.trim() || null};
+    }, CONTROL_MARKER, key, label), 2, page);
+}
+
+/**
+ * Change a marked setting control to the wanted value
+ * @param {Object} page - Puppeteer page object
+ * @param {string} key - Setting name used as the marker value
+ * @param {Object} control - Control info from findSettingControl
+ * @param {boolean|string} value - Wanted value
+ * @returns {Promise<void>}
+ */
+async function changeSettingControl(page, key, control, value) {
+    await safePageOperation(async () => page.evaluate((markerName, markerValue, kind, wanted) => {
+        const element = document.querySelector(`[${markerName}="${markerValue}"]`);
+        if (!element) return;
+        const matches = (text) => (text || '').trim().toLowerCase().includes(String(wanted).toLowerCase());
+
+        if (kind === 'toggle' || kind === 'combobox') {
+            element.click();
+        } else if (kind === 'select') {
+            const option = Array.from(element.options).find((opt) => matches(opt.textContent));
+            if (option) {
+                element.value = option.value;
+                element.dispatchEvent(new Event('change', {bubbles: true}));
+            }
+        } else {
+            const choice = Array.from(element.querySelectorAll('[role="radio"], input[type="radio"], label'))
+                .find((el) => matches((el.closest('label') || el).textContent));
+            if (choice) choice.click();
+        }
+    }, CONTROL_MARKER, key, control.kind, value));
+
+    // Comboboxes open a listbox to pick the value from
+    if (control.kind === 'combobox') {
+        await wait(500);
+        await safePageOperation(async () => page.evaluate((wanted) => {
+            const option = Array.from(document.querySelectorAll('[role="listbox"] [role="option"], [role="menu"] [role="menuitem"]'))
+                .find((el) => (el.textContent || '').trim().toLowerCase().includes(wanted.toLowerCase()));
+            if (option) option.click();
+        }, String(value)));
+    }
+    await wait(500);
+}
+
+/**
+ * Apply settings in the paraphraser settings panel and read back the state of each one
+ * @param {Object} page - Puppeteer page with the paraphrasing tool loaded
+ * @param {Object} settings - Validated settings keyed by option name
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<Object>} Applied values keyed by option name (null if a setting was not found) and warnings
+ *   ({applied, warnings})
+ * @throws {SelectorNotFoundError} If the settings panel cannot be opened
+ */
+async function applySettings(page, settings, isDev = false) {
+    const applied = {};
+    const warnings = [];
+    const keys = Object.keys(settings);
+    if (keys.length === 0) {
+        return {applied, warnings};
+    }
+
+    if (!await openSettingsPanel(page)) {
+        const debugFile = await saveHTMLForDebug(page, 'settings-button-not-found.html', isDev);
+        throw new SelectorNotFoundError('Settings button not found', {selector: SETTINGS_BUTTON_SELECTORS.join(', '), debugFile});
+    }
+    await saveHTMLForDebug(page, 'settings-panel.html', isDev);
+
+    for (const key of keys) {
+        const {label, type} = PARAPHRASER_SETTINGS[key];
+        const wanted = settings[key];
+        const control = await findSettingControl(page, key, label);
+
+        if (!control) {
+            applied[key] = null;
+            warnings.push(`Setting "${key}" (${label}) was not found in the settings panel`);
+        } else {
+            const isSet = type === 'boolean'
+                ? control.value === wanted
+                : (control.value || '').toLowerCase().includes(wanted.toLowerCase());
+            if (!isSet) {
+                await changeSettingControl(page, key, control, wanted);
+            }
+
+            // Read the control again to report the state the page actually kept
+            const after = isSet ? control : await findSettingControl(page, key, label);
+            applied[key] = after ? after.value : null;
+            const isApplied = type === 'boolean'
+                ? applied[key] === wanted
+                : (applied[key] || '').toLowerCase().includes(wanted.toLowerCase());
+            if (isApplied) {
+                applied[key] = wanted;
+                console.log(`Setting "${key}" set to ${wanted}.`);
+            } else {
+                warnings.push(`Setting "${key}" could not be set to ${wanted} (shown as ${applied[key]})`);
+            }
+        }
+    }
+
+    // Close the panel before paraphrasing
+    await safePageOperation(async () => page.keyboard.press('Escape'));
+    await wait(500);
+    return {applied, warnings};
+}
+
+module.exports = {
+    PARAPHRASER_SETTINGS,
+    validateSettings,
+    applySettings,
+};
@@ -0,0 +1,330 @@
+const {similarity} = require('./alignment');
+const {packParagraphs, splitSentences} = require('./chunker');
+const {
+    InvalidOptionError,
+    SelectorNotFoundError,
+    SubmissionTimeoutError,
+    OutputEmptyError,
+    toQuillBotError,
+} = require('./errors');
+const {assertWithinQuota} = require('./quota');
+const {
+    safePageOperation,
+    saveHTMLForDebug,
+    navigateToUrl,
+    waitForPageInitialization,
+    clearInputField,
+    inputString,
+    getOutputContent,
+    closeModalIfPresent,
+    findVisibleSelector,
+    wait,
+} = require('./utils');
+
+const SUMMARIZER_URL = 'https://quillbot.com/summarize';
+const SUMMARIZER_WORD_LIMIT = 1200; // Words per summary for a free account
+// Summary modes and the text of their buttons
+const SUMMARY_MODES = {
+    'key-sentences': 'Key Sentences',
+    paragraph: 'Paragraph',
+};
+// Known working selectors first for speed
+const INPUT_SELECTORS = [
+    '#inputBoxSummarizer',
+    '[data-testid="summarizer-input-box"]',
+    '[data-testid*="summarizer" i] div[contenteditable="true"]',
+    'div[contenteditable="true"][role="textbox"]',
+    'textarea',
+];
+const OUTPUT_SELECTORS = [
+    '#outputBoxSummarizer',
+    '[data-testid="summarizer-output-box"]',
+    '[data-testid*="summary-output" i]',
+    '[data-testid*="summarizer" i] [class*="output" i]',
+];
+const BUTTON_SELECTORS = [
+    '[data-testid="summarizer-summarize-button"]',
+    '[data-testid*="summarize" i] button',
+    'button[aria-label*="Summarize" i]',
+];
+const LENGTH_SLIDER_SELECTORS = [
+    'input[type="range"][data-testid*="length" i]',
+    'input[type="range"][aria-label*="length" i]',
+    'input[type="range"]',
+];
+
+/**
+ * Element check function for the summarizer page
+ * @returns {boolean} True if the input box is present
+ */
+function summarizerElementCheck() {
+    const selectors = [
+        '#inputBoxSummarizer',
+        '[data-testid="summarizer-input-box"]',
+        'div[contenteditable="true"][role="textbox"]',
+        'textarea',
+    ];
+    return selectors.some((selector) => {
+        const element = document.querySelector(selector);
+        return element && element.offsetParent !== null;
+    });
+}
+
+/**
+ * Load the summarizer in a page and get it ready for input
+ * @param {Object} page - Puppeteer page object
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<void>}
+ */
+async function initializeSummarizerPage(page, isDev) {
+    console.log('Navigating to QuillBot Summarizer...');
+    await navigateToUrl(page, SUMMARIZER_URL);
+    await waitForPageInitialization(page, summarizerElementCheck);
+    await saveHTMLForDebug(page, 'summarizer-initial-load.html', isDev);
+    await closeModalIfPresent(page);
+}
+
+/**
+ * Check the summarizer options
+ * @param {Object} options - Options object
+ * @returns {Object} Mode and length to apply ({mode, length}); length is null to keep the page default
+ * @throws {InvalidOptionError} If the mode or length is not supported
+ */
+function validateSummarizerOptions(options) {
+    const mode = options.mode || 'key-sentences';
+    if (!SUMMARY_MODES[mode]) {
+        throw new InvalidOptionError(`Unknown summary mode "${mode}". Available modes: ${Object.keys(SUMMARY_MODES).join(', ')}`, {
+            option: 'mode',
+        });
+    }
+
+    const length = options.length ?? null;
+    if (length !== null && (typeof length !== 'number' || length < 0 || length > 100)) {
+        throw new InvalidOptionError('length must be a number from 0 (shortest) to 100 (longest)', {option: 'length'});
+    }
+    return {mode, length};
+}
+
+/**
+ * Click the button of a summary mode
+ * @param {Object} page - Puppeteer page object
+ * @param {string} mode - Summary mode ('key-sentences' or 'paragraph')
+ * @returns {Promise<boolean>} True if the mode was selected
+ */
+async function selectSummaryMode(page, mode) {
+    try {
+        const selected = await safePageOperation(async () => page.evaluate((label) => {
+            const button = Array.from(document.querySelectorAll('button, [role="tab"], [role="radio"]'))
+                .find((el) => (el.textContent || '').trim().toLowerCase() === label.toLowerCase());
+            if (button) button.click();
+            return Boolean(button);
+        }, SUMMARY_MODES[mode]));
+        if (selected) {
+            console.log(`Summary mode set to "${SUMMARY_MODES[mode]}".`);
+            await wait(500);
+        }
+        return selected;
+    } catch (error) {
+        console.log(`Error selecting summary mode (continuing): ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Set the summary length slider
+ * @param {Object} page - Puppeteer page object
+ * @param {number} length - Slider position from 0 (shortest) to 100 (longest)
+ * @returns {Promise<boolean>} True if the slider was set
+ */
+async function setSummaryLength(page, length) {
+    try {
+        const isSet = await safePageOperation(async () => page.evaluate((percent, sliderSelectors) => {
+            const slider = sliderSelectors.map((selector) => document.querySelector(selector)).find(Boolean);
+            if (!slider) return false;
+
+            // Map 0-100 onto the slider's own range
+            const min = Number(slider.min || 0);
+            const max = Number(slider.max || 100);
+            slider.value = String(Math.round(min + ((max - min) * percent) / 100));
+            ['input', 'change'].forEach((event) => slider.dispatchEvent(new Event(event, {bubbles: true})));
+            return true;
+        }, length, LENGTH_SLIDER_SELECTORS));
+        if (isSet) {
+            console.log(`Summary length set to ${length}.`);
+        }
+        return isSet;
+    } catch (error) {
+        console.log(`Error setting summary length (continuing): ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Read the summary shown on the page, with each key sentence when the summary is a list
+ * @param {Object} page - Puppeteer page object
+ * @param {string} outputSelector - CSS selector for the output box
+ * @returns {Promise<Object|null>} Summary ({text, sentences}) or null if there is no output
+ */
+async function readSummary(page, outputSelector) {
+    const text = await getOutputContent(page, outputSelector, {preserveBreaks: true});
+    if (!text) {
+        return null;
+    }
+    const items = await safePageOperation(async () => page.evaluate((sel) => {
+        const element = document.querySelector(sel);
+        return element
+            ? Array.from(element.querySelectorAll('li')).map((li) => (li.innerText || li.textContent || '').trim()).filter(Boolean)
+            : [];
+    }, outputSelector), 2, page);
+    return {text, sentences: items};
+}
+
+/**
+ * Find the source sentences a paragraph summary draws on, i.e. the most similar source sentence for each summary sentence
+ * @param {string} source - Summarized text
+ * @param {string} summary - Paragraph summary
+ * @returns {string[]} Source sentences in source order, without duplicates
+ */
+function findKeySentences(source, summary) {
+    const sourceSentences = splitSentences(source).map((sentence) => sentence.trim()).filter(Boolean);
+    const picked = new Set();
+    for (const sentence of splitSentences(summary)) {
+        let bestIndex = -1;
+        let bestScore = 0;
+        sourceSentences.forEach((candidate, index) => {
+            const score = similarity(sentence, candidate);
+            if (score > bestScore) {
+                bestScore = score;
+                bestIndex = index;
+            }
+        });
+        if (bestIndex !== -1) {
+            picked.add(bestIndex);
+        }
+    }
+    return [...picked].sort((a, b) => a - b).map((index) => sourceSentences[index]);
+}
+
+/**
+ * Summarize text on a page that already has the summarizer loaded
+ * @param {Object} page - Puppeteer page prepared by initializeSummarizerPage
+ * @param {string} text - Text to summarize
+ * @param {Object} options - Options object
+ * @param {string} options.mode - 'key-sentences' (bullet list) or 'paragraph' (default: 'key-sentences')
+ * @param {number} options.length - Summary length slider from 0 (shortest) to 100 (longest) (default: page default)
+ * @param {number} options.wordLimit - Words per part for long input (default: 1200)
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<Object>} Result ({summary, keySentences, mode, parts}); parts is the number of parts summarized
+ * @throws {QuillBotError} If any step of the summarizing fails
+ */
+async function summarizeOnPage(page, text, options = {}, isDev = false) {
+    const {mode, length} = validateSummarizerOptions(options);
+    const wordLimit = options.wordLimit || SUMMARIZER_WORD_LIMIT;
+
+    // Only input over the word limit is summarized part by part; paragraphs are packed into as few parts as fit
+    const parts = packParagraphs(text, {maxWords: wordLimit});
+    if (parts.length === 0) {
+        console.log('No text to summarize.');
+        return {
+            summary: '',
+            keySentences: [],
+            mode,
+            parts: 0,
+        };
+    }
+
+    if (!await selectSummaryMode(page, mode)) {
+        console.log(`Summary mode "${mode}" could not be selected (continuing with the current mode).`);
+    }
+    if (length !== null) {
+        await setSummaryLength(page, length);
+    }
+
+    const inputSelector = await findVisibleSelector(page, INPUT_SELECTORS);
+    if (!inputSelector) {
+        const debugFile = await saveHTMLForDebug(page, 'summarizer-input-not-found.html', isDev);
+        throw new SelectorNotFoundError('Summarizer input field not found', {selector: INPUT_SELECTORS.join(', '), debugFile});
+    }
+
+    const summaries = [];
+    const keySentences = [];
+    for (let i = 0; i < parts.length; i += 1) {
+        console.log('Summarizing part', i + 1, 'of', parts.length);
+        const part = parts[i];
+
+        try {
+            await clearInputField(page, inputSelector);
+            await inputString(page, inputSelector, part);
+            await wait(1000);
+
+            const buttonSelector = await findVisibleSelector(page, BUTTON_SELECTORS);
+            if (!buttonSelector) {
+                const debugFile = await saveHTMLForDebug(page, `summary-part-${i + 1}-button-not-found.html`, isDev);
+                throw new SelectorNotFoundError('Summarize button not found', {
+                    partIndex: i,
+                    selector: BUTTON_SELECTORS.join(', '),
+                    debugFile,
+                });
+            }
+
+            // Remember the current output so a stale summary from a previous part is not read back
+            const outputSelector = await findVisibleSelector(page, OUTPUT_SELECTORS) || OUTPUT_SELECTORS[0];
+            const previousOutput = await getOutputContent(page, outputSelector);
+            await safePageOperation(async () => page.click(buttonSelector));
+
+            try {
+                await safePageOperation(async () => page.waitForFunction((selectors, previous) => {
+                    const element = selectors.map((selector) => document.querySelector(selector)).find(Boolean);
+                    const content = element ? (element.textContent || '').trim() : '';
+                    return content.length > 0 && content !== previous;
+                }, {timeout: 60000, polling: 500}, OUTPUT_SELECTORS, previousOutput));
+            } catch (error) {
+                await assertWithinQuota(page, {partIndex: i, isDev, debugName: `summary-part-${i + 1}`});
+                const debugFile = await saveHTMLForDebug(page, `summary-part-${i + 1}-timeout.html`, isDev);
+                throw new SubmissionTimeoutError('Summary did not appear in the expected time', {
+                    partIndex: i,
+                    selector: buttonSelector,
+                    debugFile,
+                    cause: error,
+                });
+            }
+            await wait(1500);
+            await assertWithinQuota(page, {partIndex: i, isDev, debugName: `summary-part-${i + 1}`});
+
+            const currentOutputSelector = await findVisibleSelector(page, OUTPUT_SELECTORS) || outputSelector;
+            const summary = await readSummary(page, currentOutputSelector);
+            if (!summary) {
+                const debugFile = await saveHTMLForDebug(page, `summary-part-${i + 1}-no-output.html`, isDev);
+                throw new OutputEmptyError('Summary not found', {
+                    partIndex: i,
+                    selector: OUTPUT_SELECTORS.join(', '),
+                    debugFile,
+                });
+            }
+            summaries.push(summary.text);
+            // Key sentence summaries list the extracted sentences; paragraphs are matched back to the source
+            if (mode === 'key-sentences' && summary.sentences.length > 0) {
+                keySentences.push(...summary.sentences);
+            } else {
+                keySentences.push(...findKeySentences(part, summary.text));
+            }
+            console.log('Summary complete', i + 1, 'of', parts.length);
+        } catch (error) {
+            const debugFile = await saveHTMLForDebug(page, `summary-part-${i + 1}-error.html`, isDev);
+            console.error(`Error processing part ${i + 1}: ${error.message}`);
+            throw toQuillBotError(error, {partIndex: i, debugFile});
+        }
+    }
+
+    return {
+        summary: summaries.join(mode === 'key-sentences' ? '\n' : '\n\n'),
+        keySentences,
+        mode,
+        parts: parts.length,
+    };
+}
+
+module.exports = {
+    initializeSummarizerPage,
+    summarizeOnPage,
+};
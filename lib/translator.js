@@ -1,16 +1,66 @@
+const {alignSentences, similarity} = require('./alignment');
+const {
+    findLanguage,
+    loadCapabilitiesForValidation,
+    readCachedCapabilities,
+    resolveLanguage,
+} = require('./capabilities');
+const {chunkParagraphs, joinParagraphs} = require('./chunker');
+const {
+    SelectorNotFoundError,
+    SubmissionTimeoutError,
+    OutputEmptyError,
+    QuotaExceededError,
+    InvalidOptionError,
+    toQuillBotError,
+    serializeError,
+} = require('./errors');
+const {assertWithinQuota} = require('./quota');
 const {
     safePageOperation,
     saveHTMLForDebug,
-    setupBrowser,
     navigateToUrl,
+    waitForElements,
     waitForPageInitialization,
-    closeBrowser,
+    clearInputField,
+    inputString,
     getOutputContent,
+    findVisibleSelector,
     wait,
 } = require('./utils');
 
 const TRANSLATOR_URL = 'https://quillbot.com/translate';
 const OUTPUT_SELECTOR = '#tltr-output';
+const TRANSLATION_CHARACTER_LIMIT = 5000; // Characters per translation request
+const MAX_URL_TEXT_LENGTH = 2000; // Longest URL-encoded text passed in the ?text= parameter
+// Known working selectors first for speed
+const INPUT_SELECTORS = [
+    '[data-testid="tltr-input-editor"]', // Primary selector from HTML
+    '#editor',
+    'div[contenteditable="true"][role="textbox"]',
+    '[data-testid="tltr-input-editor"] div[contenteditable="true"]',
+    'div[contenteditable="true"][translate="no"]',
+    'div[contenteditable="true"]',
+    '[role="textbox"]',
+];
+const BUTTON_SELECTORS = [
+    '[data-testid="tltr-translate-button"]', // Primary selector from HTML
+    'button[data-testid="tltr-translate-button"]',
+    'button[aria-label*="Translate"]',
+    'button[aria-label*="Ctrl + Return"]',
+    'button[aria-label*="Cmd + Return"]',
+    '//button[contains(text(), "Translate")]',
+];
+const SOURCE_LANGUAGE_BUTTON_SELECTOR = '[data-testid="tltr-source-language-button"]';
+const TARGET_LANGUAGE_BUTTON_SELECTOR = '[data-testid="tltr-target-language-button"]';
+const LANGUAGE_MENU_ITEM_SELECTOR = '[role="menuitem"], li[role="option"], li[class*="MenuItem"]';
+const TONES = ['auto', 'formal', 'informal'];
+const VERIFY_METHODS = ['backtranslate'];
+const DEFAULT_DRIFT_THRESHOLD = 0.5; // Sentences whose back-translation shares less than this are flagged
+const TONE_MENU_SELECTORS = [
+    '[data-testid*="tone" i]',
+    'button[aria-label*="tone" i]',
+];
 
 /**
  * Map language names to QuillBot language codes
@@ -83,22 +133,9 @@ function getLanguageCode(languageName) {
  * Get the correct input selector for the translation tool
  * @param {Object} page - Puppeteer page object
  * @returns {Promise<string|null>} CSS selector or null
- * @deprecated No longer used - text is now passed via URL parameters
  */
-// eslint-disable-next-line no-unused-vars, no-underscore-dangle
-async function _getInputSelector(page) {
-    // Known working selector first for speed
-    const inputSelectors = [
-        '[data-testid="tltr-input-editor"]', // Primary selector from HTML
-        '#editor',
-        'div[contenteditable="true"][role="textbox"]',
-        '[data-testid="tltr-input-editor"] div[contenteditable="true"]',
-        'div[contenteditable="true"][translate="no"]',
-        'div[contenteditable="true"]',
-        '[role="textbox"]',
-    ];
-
-    for (const selector of inputSelectors) {
+async function getInputSelector(page) {
+    for (const selector of INPUT_SELECTORS) {
         try {
             const exists = await safePageOperation(async () => {
                 const element = await page.$(selector);
@@ -138,10 +175,8 @@ async function _getInputSelector(page) {
  * @param {Object} page - Puppeteer page object
  * @param {string} inputSelector - CSS selector for the input field
  * @returns {Promise<Object|null>} Input element or null
- * @deprecated No longer used - text is now passed via URL parameters
  */
-// eslint-disable-next-line no-unused-vars, no-underscore-dangle
-async function _getInputField(page, inputSelector) {
+async function getInputField(page, inputSelector) {
     if (!inputSelector) {
         return null;
     }
@@ -162,21 +197,9 @@ async function _getInputField(page, inputSelector) {
  * Get the correct button selector for the translate button
  * @param {Object} page - Puppeteer page object
  * @returns {Promise<string|null>} CSS selector or null
- * @deprecated No longer used - translation happens automatically via URL
  */
-// eslint-disable-next-line no-unused-vars, no-underscore-dangle
-async function _getButtonSelector(page) {
-    // Known working selector first for speed
-    const buttonSelectors = [
-        '[data-testid="tltr-translate-button"]', // Primary selector from HTML
-        'button[data-testid="tltr-translate-button"]',
-        'button[aria-label*="Translate"]',
-        'button[aria-label*="Ctrl + Return"]',
-        'button[aria-label*="Cmd + Return"]',
-        '//button[contains(text(), "Translate")]',
-    ];
-
-    for (const selector of buttonSelectors) {
+async function getButtonSelector(page) {
+    for (const selector of BUTTON_SELECTORS) {
         try {
             const exists = await safePageOperation(async () => {
                 if (selector.startsWith('//')) {
@@ -238,9 +261,10 @@ async function clickTranslateButton(page, buttonSelector) {
 /**
  * Wait for translation to complete
  * @param {Object} page - Puppeteer page object
+ * @param {string|null} previousOutput - Output shown before submitting, if any
  * @returns {Promise<boolean>} True if translation completed
  */
-async function waitForTranslation(page) {
+async function waitForTranslation(page, previousOutput = null) {
     try {
         // Wait for output content to appear
         await safePageOperation(async () => {
@@ -250,6 +274,17 @@ async function waitForTranslation(page) {
             });
         });
 
+        // When the editor is reused the old translation is still shown, so wait for it to change
+        if (previousOutput) {
+            await safePageOperation(async () => {
+                await page.waitForFunction((sel, previous) => {
+                    const element = document.querySelector(sel);
+                    const content = element ? (element.textContent || '').trim() : '';
+                    return content.length > 0 && content !== previous;
+                }, {timeout: 30000, polling: 500}, OUTPUT_SELECTOR, previousOutput);
+            });
+        }
+
         // Additional wait to ensure content is loaded
         await wait(2000);
 
@@ -277,18 +312,17 @@ async function waitForTranslation(page) {
  * Submit the translation form
  * @param {Object} page - Puppeteer page object
  * @param {string} buttonSelector - CSS/XPath selector for the button
+ * @param {string|null} previousOutput - Output shown before submitting, if any
  * @returns {Promise<boolean>} True if submitted successfully
- * @deprecated No longer used - translation happens automatically via URL
  */
-// eslint-disable-next-line no-unused-vars, no-underscore-dangle
-async function _submitForm(page, buttonSelector) {
+async function submitForm(page, buttonSelector, previousOutput = null) {
     const isClicked = await clickTranslateButton(page, buttonSelector);
     if (!isClicked) {
         console.log('Failed to find and click the translate button.');
         return false;
     }
 
-    const isSubmitted = await waitForTranslation(page);
+    const isSubmitted = await waitForTranslation(page, previousOutput);
     if (!isSubmitted) {
         return false;
     }
@@ -447,190 +481,764 @@ function translatorElementCheck() {
 }
 
 /**
- * Translate text using QuillBot
- * @param {string} text - Text to translate
+ * Build the translator URL with the language and tone parameters, and optionally the text
  * @param {Object} options - Options object
- * @param {boolean|string} options.headless - Browser headless mode (default: 'new')
  * @param {string} options.sourceLanguage - Source language (e.g., 'English (US)')
  * @param {string} options.targetLanguage - Target language (e.g., 'Spanish')
- * @returns {Promise<string|null>} Translated text or null on error
+ * @param {string} options.sourceCode - Source language code from the live menus (overrides the built-in map)
+ * @param {string} options.targetCode - Target language code from the live menus (overrides the built-in map)
+ * @param {string} options.tone - Translation tone (default: 'auto')
+ * @param {string|null} text - Text to pass in the URL, or null to load an empty editor
+ * @returns {string} Translator URL
+ * @throws {InvalidOptionError} If a target language is given but no code is known for it
+ */
+function buildTranslatorUrl(options = {}, text = null) {
+    const urlParams = new URLSearchParams();
+
+    if (options.sourceLanguage) {
+        const sourceCode = options.sourceCode || getLanguageCode(options.sourceLanguage);
+        if (sourceCode) {
+            urlParams.set('sl', sourceCode);
+            console.log(`Setting source language via URL: ${options.sourceLanguage} -> ${sourceCode}`);
+        }
+    } else {
+        urlParams.set('sl', 'auto'); // Default to auto-detect
+    }
+
+    if (options.targetLanguage) {
+        // Without tl the page translates into its default language, which would look like a success
+        const targetCode = options.targetCode || getLanguageCode(options.targetLanguage);
+        if (!targetCode) {
+            throw new InvalidOptionError(`No language code is known for target language "${options.targetLanguage}"`, {
+                option: 'targetLanguage',
+            });
+        }
+        urlParams.set('tl', targetCode);
+        console.log(`Setting target language via URL: ${options.targetLanguage} -> ${targetCode}`);
+    }
+
+    // Add tone parameter (default to 'auto')
+    urlParams.set('tone', options.tone || 'auto');
+
+    // Add text directly to URL to skip manual input
+    if (text && text.trim()) {
+        urlParams.set('text', text.trim());
+        console.log(`Adding text to URL (${text.trim().length} characters)`);
+    }
+
+    return `${TRANSLATOR_URL}?${urlParams.toString()}`;
+}
+
+/**
+ * Check whether text is short enough to be passed in the translator URL
+ * @param {string} text - Text to translate
+ * @returns {boolean} True if the URL-encoded text fits
+ */
+function fitsInUrl(text) {
+    return encodeURIComponent(text.trim()).length <= MAX_URL_TEXT_LENGTH;
+}
+
+/**
+ * Load a translator URL and wait for the page to be ready
+ * @param {Object} page - Puppeteer page object (reused pages skip the full initialization wait)
+ * @param {string} url - Translator URL
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<void>}
+ */
+async function loadTranslator(page, url, isDev) {
+    // A page that already shows the translator only needs to wait for its elements again
+    const isWarm = page.url().startsWith(TRANSLATOR_URL);
+
+    console.log('Navigating to QuillBot Translator...');
+    await navigateToUrl(page, url);
+
+    // Wait for page initialization
+    if (isWarm) {
+        await waitForElements(page, translatorElementCheck);
+    } else {
+        await waitForPageInitialization(page, translatorElementCheck);
+    }
+
+    // Save initial HTML for debugging
+    await saveHTMLForDebug(page, 'translator-initial-load.html', isDev);
+    console.log('Initial page loaded and saved');
+}
+
+/**
+ * Open a language menu and read its options
+ * @param {Object} page - Puppeteer page object
+ * @param {string} buttonSelector - CSS selector for the menu button
+ * @returns {Promise<Object[]>} Languages ({code, name}); code is null if neither the page nor the built-in map has one
+ */
+async function readLanguageMenu(page, buttonSelector) {
+    const button = await safePageOperation(async () => page.$(buttonSelector));
+    if (!button) {
+        return [];
+    }
+    await safePageOperation(async () => button.click());
+    await wait(1000);
+
+    // Codes come only from attributes meant for them; generic test ids would yield words like "item" or "btn"
+    const items = await safePageOperation(async () => page.evaluate((itemSelector) => {
+        const menuItems = Array.from(document.querySelectorAll(itemSelector));
+        return menuItems
+            .filter((item) => item.getClientRects().length > 0)
+            .map((item) => ({
+                name: (item.innerText || item.textContent || '').split('\n')[0].trim(),
+                code: item.getAttribute('data-value') || item.getAttribute('data-lang') || item.getAttribute('lang'),
+            }))
+            .filter(({name}) => name);
+    }, LANGUAGE_MENU_ITEM_SELECTOR), 2, page);
+    await safePageOperation(async () => page.keyboard.press('Escape'));
+    await wait(500);
+
+    const seen = new Set();
+    return items
+        .filter(({name}) => !seen.has(name) && seen.add(name))
+        .map(({name, code}) => ({
+            code: /detect/i.test(name) ? 'auto' : code || getLanguageCode(name),
+            name,
+        }));
+}
+
+/**
+ * Scrape the source and target language menus of the translator
+ * @param {Object} page - Puppeteer page object
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<Object>} Languages ({source, target}) as lists of ({code, name})
+ * @throws {SelectorNotFoundError} If neither language menu can be read
+ */
+async function readTranslatorLanguages(page, isDev) {
+    await loadTranslator(page, buildTranslatorUrl(), isDev);
+    const source = await readLanguageMenu(page, SOURCE_LANGUAGE_BUTTON_SELECTOR);
+    const target = await readLanguageMenu(page, TARGET_LANGUAGE_BUTTON_SELECTOR);
+    if (source.length === 0 && target.length === 0) {
+        const debugFile = await saveHTMLForDebug(page, 'translator-language-menus-not-found.html', isDev);
+        throw new SelectorNotFoundError('Translator language menus not found', {
+            selector: `${SOURCE_LANGUAGE_BUTTON_SELECTOR}, ${TARGET_LANGUAGE_BUTTON_SELECTOR}`,
+            debugFile,
+        });
+    }
+    console.log(`Found ${source.length} source and ${target.length} target languages`);
+    return {source, target};
+}
+
+/**
+ * Find a language in a scraped language menu, falling back to the built-in codes when the menu does not
+ * list it under that name, so a scrape cannot reject a language that is known to work
+ * @param {Object[]} languages - Languages ({code, name}) of one menu
+ * @param {string} wanted - Language name or code
+ * @param {string} option - Option name for the error
+ * @returns {Object} Matching language ({code, name})
+ * @throws {InvalidOptionError} If the language is neither in the menu nor in the built-in map
+ */
+function resolveMenuLanguage(languages, wanted, option) {
+    const found = findLanguage(languages, wanted);
+    if (found) {
+        return found;
+    }
+    const code = getLanguageCode(wanted);
+    if (code) {
+        console.log(`${option} "${wanted}" is not listed in the language menu, using its known code ${code}`);
+        return {code, name: wanted};
+    }
+    return resolveLanguage(languages, wanted, option);
+}
+
+/**
+ * Look up the code a target language is selected by in the translator URL
+ * @param {Object|null} languages - Scraped languages ({source, target}), or null if the menus could not be read
+ * @param {string} wanted - Target language name or code
+ * @param {string} option - Option name for the error ('targetLanguage' or 'targetLanguages')
+ * @returns {string} Language code
+ * @throws {InvalidOptionError} If the language is not offered, or no code is known for it (it could not be selected)
+ */
+function resolveTargetCode(languages, wanted, option) {
+    const hasMenu = languages && languages.target.length > 0;
+    const found = hasMenu ? resolveMenuLanguage(languages.target, wanted, option) : null;
+    const code = (found && found.code) || (found && getLanguageCode(found.name)) || getLanguageCode(wanted);
+    if (!code) {
+        throw new InvalidOptionError(`No language code is known for target language "${wanted}", so it cannot be selected`, {
+            option,
+        });
+    }
+    return code;
+}
+
+/**
+ * Check the requested languages against the live language menus and look up their codes
+ * @param {Object} page - Puppeteer page object
+ * @param {Object} options - Translation options (sourceLanguage, targetLanguage and capabilities cache options)
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<Object>} Codes ({sourceCode, targetCode}); sourceCode only if the menus could be read
+ * @throws {InvalidOptionError} If a language is not offered by the translator, or no code is known for the target
  */
-async function translator(text, options = {}) {
-    let browser;
-    let page;
+async function resolveTranslatorLanguages(page, options, isDev) {
+    const wantsSource = options.sourceLanguage && options.sourceLanguage.toLowerCase() !== 'auto';
+    if (!wantsSource && !options.targetLanguage) {
+        return {};
+    }
+    const languages = await loadCapabilitiesForValidation('languages', options, () => readTranslatorLanguages(page, isDev));
+
+    const codes = {};
+    if (wantsSource && languages && languages.source.length > 0) {
+        codes.sourceCode = resolveMenuLanguage(languages.source, options.sourceLanguage, 'sourceLanguage').code;
+    }
+    if (options.targetLanguage) {
+        codes.targetCode = resolveTargetCode(languages, options.targetLanguage, 'targetLanguage');
+    }
+    return codes;
+}
+
+/**
+ * Check the tone option
+ * @param {string} tone - Requested tone
+ * @returns {string} Tone in lower case ('auto', 'formal' or 'informal')
+ * @throws {InvalidOptionError} If the tone is not one of the known tones
+ */
+function validateTone(tone = 'auto') {
+    const normalized = String(tone).trim().toLowerCase();
+    if (!TONES.includes(normalized)) {
+        throw new InvalidOptionError(`Unknown tone "${tone}". Available tones: ${TONES.join(', ')}`, {option: 'tone'});
+    }
+    return normalized;
+}
+
+/**
+ * Read the tones the translator offers for the target language currently loaded
+ * @param {Object} page - Puppeteer page with the translator loaded
+ * @returns {Promise<Object|null>} Tones ({tones}); always includes 'auto', formal and informal only if the page shows
+ *   them. Null if there is no tone control on the page, so the tone cannot be checked
+ */
+async function readToneOptions(page) {
+    const menuSelector = await findVisibleSelector(page, TONE_MENU_SELECTORS);
+    if (menuSelector) {
+        await safePageOperation(async () => page.click(menuSelector));
+        await wait(500);
+    }
+
+    const shown = await safePageOperation(async () => page.evaluate(() => Array.from(document.querySelectorAll('button, [role="option"], [role="menuitem"], [role="radio"], [role="tab"]'))
+        .filter((el) => el.getClientRects().length > 0)
+        .map((el) => (el.textContent || '').trim().toLowerCase())
+        .filter((text) => text === 'formal' || text === 'informal')), 2, page);
+    if (menuSelector) {
+        await safePageOperation(async () => page.keyboard.press('Escape'));
+        await wait(300);
+    } else if (shown.length === 0) {
+        // No menu and no tone buttons: the control was not found, which says nothing about the tones offered
+        console.log('Tone control not found (skipping tone validation).');
+        return null;
+    }
+    return {tones: ['auto', ...TONES.filter((tone) => shown.includes(tone))]};
+}
+
+/**
+ * Check that the target language supports the requested tone
+ * @param {Object} page - Puppeteer page object
+ * @param {string} tone - Validated tone
+ * @param {Object} urlOptions - Translation options with resolved language codes
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<void>}
+ * @throws {InvalidOptionError} If the target language does not offer the tone
+ */
+async function assertToneSupported(page, tone, urlOptions, isDev) {
+    if (tone === 'auto') {
+        return;
+    }
+    const targetCode = urlOptions.targetCode || getLanguageCode(urlOptions.targetLanguage || '') || 'default';
+    const supported = await loadCapabilitiesForValidation(`tones-${targetCode}`, urlOptions, async () => {
+        await loadTranslator(page, buildTranslatorUrl({...urlOptions, tone: 'auto'}), isDev);
+        return readToneOptions(page);
+    });
+    if (supported && !supported.tones.includes(tone)) {
+        throw new InvalidOptionError(`Tone "${tone}" is not available for target language "${urlOptions.targetLanguage}". Available tones: ${supported.tones.join(', ')}`, {
+            option: 'tone',
+        });
+    }
+}
+
+/**
+ * Read the source language QuillBot detected for the text on the page
+ * @param {Object} page - Puppeteer page with a translation shown
+ * @param {Object} options - Translation options (capabilities cache options, used to look up the code)
+ * @returns {Promise<Object|null>} Detected language ({code, name}) or null if the page does not show one
+ */
+async function readDetectedLanguage(page, options) {
+    let label;
     try {
-        const isDev = options.headless === false || options.headless === 'new';
+        label = await safePageOperation(async () => page.evaluate((buttonSelector) => {
+            const clean = (el) => (el ? (el.innerText || el.textContent || '') : '').replace(/\s+/g, ' ').trim();
+            const detected = document.querySelector('[data-testid*="detected" i]');
+            return clean(detected) || clean(document.querySelector(buttonSelector));
+        }, SOURCE_LANGUAGE_BUTTON_SELECTOR), 2, page);
+    } catch (error) {
+        console.log(`Could not read the detected language: ${error.message}`);
+        return null;
+    }
+
+    // Labels read like "English - detected", "Detected: English" or "English (detected)"
+    const name = (label || '')
+        .replace(/\(?\s*detected\s*\)?\s*[:-]?/i, '')
+        .replace(/^\s*[-:]\s*|\s*[-:]\s*$/g, '')
+        .trim();
+    if (!name || /detect language|^auto$/i.test(name)) {
+        return null;
+    }
+
+    const languages = readCachedCapabilities('languages', options);
+    const known = languages && languages.source ? findLanguage(languages.source, name) : null;
+    return {code: known ? known.code : getLanguageCode(name), name: known ? known.name : name};
+}
+
+/**
+ * Wait for the translation and read it from the output panel
+ * @param {Object} page - Puppeteer page object
+ * @param {string} text - Text that was translated (used to detect an unchanged output)
+ * @param {boolean} isDev - Whether in development mode
+ * @param {number} partIndex - Index of the chunk being translated
+ * @param {string|null} previousOutput - Output shown before submitting, if any
+ * @returns {Promise<string>} Translated text
+ * @throws {QuillBotError} If the translation fails
+ */
+async function readTranslation(page, text, isDev, partIndex, previousOutput = null) {
+    try {
+        // Wait for translation to complete
+        await waitForTranslation(page, previousOutput);
+
+        // A usage limit shows up instead of the translation
+        await assertWithinQuota(page, {partIndex, isDev, debugName: 'translator'});
 
-        // Setup browser and page
-        const {browser: browserInstance, page: pageInstance} = await setupBrowser(options);
-        browser = browserInstance;
-        page = pageInstance;
+        // Get the translated content - try multiple selectors and methods
+        let outputContent = await getOutputContent(page, OUTPUT_SELECTOR);
 
-        console.log('Navigating to QuillBot Translator...');
+        // If output is same as input or empty, try alternative selectors
+        if (!outputContent || outputContent.trim() === text.trim() || outputContent.trim().length === 0) {
+            console.log('Primary output selector returned empty or same as input, trying alternatives...');
 
-        // Build URL with language parameters and text if provided
-        let translatorUrl = TRANSLATOR_URL;
-        const urlParams = new URLSearchParams();
+            // Try alternative output selectors
+            const alternativeSelectors = [
+                '[data-testid="tltr-output-editor"]',
+                '#tltr-output div[contenteditable="true"]',
+                '#tltr-output .tiptap',
+                '[data-testid="tltr-output"]',
+            ];
 
-        if (options.sourceLanguage) {
-            const sourceCode = getLanguageCode(options.sourceLanguage);
-            if (sourceCode) {
-                urlParams.set('sl', sourceCode);
-                console.log(`Setting source language via URL: ${options.sourceLanguage} -> ${sourceCode}`);
+            for (const altSelector of alternativeSelectors) {
+                const altContent = await getOutputContent(page, altSelector);
+                if (altContent && altContent.trim() !== text.trim() && altContent.trim().length > 0) {
+                    outputContent = altContent;
+                    console.log(`Found output using alternative selector: ${altSelector}`);
+                    break;
+                }
             }
-        } else {
-            urlParams.set('sl', 'auto'); // Default to auto-detect
-        }
 
-        if (options.targetLanguage) {
-            const targetCode = getLanguageCode(options.targetLanguage);
-            if (targetCode) {
-                urlParams.set('tl', targetCode);
-                console.log(`Setting target language via URL: ${options.targetLanguage} -> ${targetCode}`);
+            // If still no good output, try reading directly from the output element's inner structure
+            if (!outputContent || outputContent.trim() === text.trim()) {
+                outputContent = await page.evaluate(() => {
+                    const outputEl = document.querySelector('#tltr-output');
+                    if (!outputEl) return null;
+
+                    // Try to get text from various nested elements
+                    const textElements = outputEl.querySelectorAll('p, span, div');
+                    let bestText = '';
+                    for (const el of textElements) {
+                        const elText = el.textContent || el.innerText || '';
+                        if (elText.trim().length > bestText.trim().length) {
+                            bestText = elText;
+                        }
+                    }
+                    return bestText || outputEl.textContent || outputEl.innerText || '';
+                });
             }
         }
 
-        // Add tone parameter (default to 'auto')
-        urlParams.set('tone', options.tone || 'auto');
-
-        // Add text directly to URL to skip manual input
-        if (text && text.trim()) {
-            urlParams.set('text', text.trim());
-            console.log(`Adding text to URL (${text.trim().length} characters)`);
+        if (outputContent && outputContent.trim() !== text.trim() && outputContent.trim().length > 0) {
+            await saveHTMLForDebug(page, 'translator-completed.html', isDev);
+            return outputContent.trim();
         }
 
-        if (urlParams.toString()) {
-            translatorUrl += `?${urlParams.toString()}`;
+        // Handle the case where no output content is retrieved or output is same as input
+        const debugFile = await saveHTMLForDebug(page, 'translator-no-output.html', isDev);
+        console.log(`Input was: "${text}"`);
+        console.log(`Output was: "${outputContent || '(empty)'}"`);
+        throw new OutputEmptyError('Output content not found or translation did not occur', {
+            partIndex,
+            selector: OUTPUT_SELECTOR,
+            debugFile,
+        });
+    } catch (error) {
+        if (error instanceof OutputEmptyError || error instanceof QuotaExceededError) {
+            throw error;
         }
+        const debugFile = await saveHTMLForDebug(page, 'translator-error.html', isDev);
+        console.error(`Error processing translation: ${error.message}`);
+        throw toQuillBotError(error, {partIndex, debugFile});
+    }
+}
+
+/**
+ * Translate a chunk by loading the translator with the text in the URL
+ * @param {Object} page - Puppeteer page object
+ * @param {string} text - Text to translate (short enough for the URL)
+ * @param {Object} options - Translation options (see translateOnPage)
+ * @param {boolean} isDev - Whether in development mode
+ * @param {number} partIndex - Index of the chunk being translated
+ * @returns {Promise<string>} Translated text
+ */
+async function translateViaUrl(page, text, options, isDev, partIndex) {
+    await loadTranslator(page, buildTranslatorUrl(options, text), isDev);
 
-        await navigateToUrl(page, translatorUrl);
+    // Since text is in URL, translation might happen automatically
+    // Wait for page to fully load first
+    console.log('Text included in URL - waiting for page to load...');
+    await wait(2000); // Give page time to process URL parameters
+    await saveHTMLForDebug(page, 'translator-before-translation.html', isDev);
 
-        // Wait for page initialization
-        await waitForPageInitialization(page, translatorElementCheck);
+    // Check if translation has already occurred
+    const initialOutput = await getOutputContent(page, OUTPUT_SELECTOR);
+    const hasTranslation = initialOutput && initialOutput.trim() !== text.trim() && initialOutput.trim().length > 0;
 
-        // Save initial HTML for debugging
-        await saveHTMLForDebug(page, 'translator-initial-load.html', isDev);
-        console.log('Initial page loaded and saved');
-
-        // Since text is in URL, translation might happen automatically
-        // Wait for page to fully load first
-        console.log('Text included in URL - waiting for page to load...');
-        await wait(2000); // Give page time to process URL parameters
-        await saveHTMLForDebug(page, 'translator-before-translation.html', isDev);
-
-        // Check if translation has already occurred
-        const initialOutput = await getOutputContent(page, OUTPUT_SELECTOR);
-        const hasTranslation = initialOutput && initialOutput.trim() !== text.trim() && initialOutput.trim().length > 0;
-
-        if (!hasTranslation) {
-            // Translation didn't happen automatically, click the translate button
-            console.log('Translation did not occur automatically, clicking translate button...');
-            // Use known selector from HTML structure
-            const buttonSelector = '[data-testid="tltr-translate-button"]';
-            const clicked = await clickTranslateButton(page, buttonSelector);
-            if (clicked) {
-                console.log('Translate button clicked, waiting for translation...');
-                await wait(1000); // Wait for button click to register
-            } else {
-                console.log('Failed to click translate button, trying keyboard shortcut...');
-                // Fallback: try Ctrl+Enter or Enter key
-                try {
-                    await page.keyboard.press('Control+Enter');
-                    await wait(1000);
-                } catch (keyError) {
-                    // Ignore keyboard errors
-                }
-            }
+    if (!hasTranslation) {
+        // Translation didn't happen automatically, click the translate button
+        console.log('Translation did not occur automatically, clicking translate button...');
+        // Use known selector from HTML structure
+        const buttonSelector = '[data-testid="tltr-translate-button"]';
+        const clicked = await clickTranslateButton(page, buttonSelector);
+        if (clicked) {
+            console.log('Translate button clicked, waiting for translation...');
+            await wait(1000); // Wait for button click to register
         } else {
-            console.log('Translation occurred automatically.');
+            console.log('Failed to click translate button, trying keyboard shortcut...');
+            // Fallback: try Ctrl+Enter or Enter key
+            try {
+                await page.keyboard.press('Control+Enter');
+                await wait(1000);
+            } catch (keyError) {
+                // Ignore keyboard errors
+            }
         }
+    } else {
+        console.log('Translation occurred automatically.');
+    }
 
-        try {
-            // Wait for translation to complete
-            await waitForTranslation(page);
-
-            // Get the translated content - try multiple selectors and methods
-            let outputContent = await getOutputContent(page, OUTPUT_SELECTOR);
-
-            // If output is same as input or empty, try alternative selectors
-            if (!outputContent || outputContent.trim() === text.trim() || outputContent.trim().length === 0) {
-                console.log('Primary output selector returned empty or same as input, trying alternatives...');
-
-                // Try alternative output selectors
-                const alternativeSelectors = [
-                    '[data-testid="tltr-output-editor"]',
-                    '#tltr-output div[contenteditable="true"]',
-                    '#tltr-output .tiptap',
-                    '[data-testid="tltr-output"]',
-                ];
-
-                for (const altSelector of alternativeSelectors) {
-                    const altContent = await getOutputContent(page, altSelector);
-                    if (altContent && altContent.trim() !== text.trim() && altContent.trim().length > 0) {
-                        outputContent = altContent;
-                        console.log(`Found output using alternative selector: ${altSelector}`);
-                        break;
-                    }
-                }
+    return readTranslation(page, text, isDev, partIndex);
+}
 
-                // If still no good output, try reading directly from the output element's inner structure
-                if (!outputContent || outputContent.trim() === text.trim()) {
-                    outputContent = await page.evaluate(() => {
-                        const outputEl = document.querySelector('#tltr-output');
-                        if (!outputEl) return null;
-
-                        // Try to get text from various nested elements
-                        const textElements = outputEl.querySelectorAll('p, span, div');
-                        let bestText = '';
-                        for (const el of textElements) {
-                            const elText = el.textContent || el.innerText || '';
-                            if (elText.trim().length > bestText.trim().length) {
-                                bestText = elText;
-                            }
-                        }
-                        return bestText || outputEl.textContent || outputEl.innerText || '';
-                    });
-                }
-            }
+/**
+ * Translate a chunk by typing it into the translator editor (for text too long for the URL)
+ * @param {Object} page - Puppeteer page object
+ * @param {string} text - Text to translate
+ * @param {Object} options - Translation options (see translateOnPage)
+ * @param {boolean} isDev - Whether in development mode
+ * @param {number} partIndex - Index of the chunk being translated
+ * @returns {Promise<string>} Translated text
+ * @throws {QuillBotError} If the editor or translate button cannot be used
+ */
+async function translateViaInput(page, text, options, isDev, partIndex) {
+    // Reuse the editor when it already has the right languages, otherwise load an empty one
+    const editorUrl = buildTranslatorUrl(options);
+    if (page.url() !== editorUrl) {
+        await loadTranslator(page, editorUrl, isDev);
+    }
 
-            if (outputContent && outputContent.trim() !== text.trim() && outputContent.trim().length > 0) {
-                await saveHTMLForDebug(page, 'translator-completed.html', isDev);
-                const result = outputContent.trim();
-                // Store success flag to avoid delaying browser close on success
-                // eslint-disable-next-line no-underscore-dangle, require-atomic-updates
-                options._success = true;
-                return result;
-            }
+    console.log(`Text too long for the URL - typing it into the editor (${text.length} characters)`);
+    const inputSelector = await getInputSelector(page);
+    const inputField = await getInputField(page, inputSelector);
+    if (!inputField) {
+        const debugFile = await saveHTMLForDebug(page, 'translator-input-not-found.html', isDev);
+        throw new SelectorNotFoundError('Translator input field not found', {
+            partIndex,
+            selector: inputSelector || INPUT_SELECTORS.join(', '),
+            debugFile,
+        });
+    }
 
-            // Handle the case where no output content is retrieved or output is same as input
-            await saveHTMLForDebug(page, 'translator-no-output.html', isDev);
-            console.log('Output content not found or translation did not occur. Exiting script.');
-            console.log(`Input was: "${text}"`);
-            console.log(`Output was: "${outputContent || '(empty)'}"`);
-            return null;
-        } catch (error) {
-            await saveHTMLForDebug(page, 'translator-error.html', isDev);
-            console.error(`Error processing translation: ${error.message}`);
-            throw error;
+    // Remember the current output so the previous chunk's translation is not read back
+    const previousOutput = await getOutputContent(page, OUTPUT_SELECTOR);
+
+    await clearInputField(page, inputSelector);
+    await wait(500);
+    await inputString(page, inputSelector, text);
+    await saveHTMLForDebug(page, `translator-part-${partIndex + 1}-input.html`, isDev);
+
+    const buttonSelector = await getButtonSelector(page);
+    const isSubmitted = buttonSelector && await submitForm(page, buttonSelector, previousOutput);
+    if (!isSubmitted) {
+        const debugFile = await saveHTMLForDebug(page, `translator-part-${partIndex + 1}-submission-failed.html`, isDev);
+        throw new SubmissionTimeoutError('Translation did not complete in the expected time', {
+            partIndex,
+            selector: buttonSelector || BUTTON_SELECTORS.join(', '),
+            debugFile,
+        });
+    }
+
+    return readTranslation(page, text, isDev, partIndex, previousOutput);
+}
+
+/**
+ * Translate text in a page, splitting long text into sentence-aligned chunks translated in sequence
+ * @param {Object} page - Puppeteer page object (reused pages skip the full initialization wait)
+ * @param {string} text - Text to translate
+ * @param {Object} options - Translation options (see translateOnPage)
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<string|Object>} Translated text, or with `detailed` a result
+ *   ({text, sourceLanguage, detectedLanguage, targetLanguage, tone})
+ * @throws {QuillBotError} If the translation fails
+ * @throws {InvalidOptionError} If a language or tone is not offered by the translator
+ */
+async function translateTextOnPage(page, text, options = {}, isDev = false) {
+    const tone = validateTone(options.tone);
+    const isAutoSource = !options.sourceLanguage || options.sourceLanguage.toLowerCase() === 'auto';
+
+    // Chunks stay within QuillBot's per-request character limit and never cross a paragraph
+    const paragraphs = chunkParagraphs(text, {maxWords: Infinity, maxChars: TRANSLATION_CHARACTER_LIMIT});
+    const parts = paragraphs.flatMap(({chunks}, paragraphIndex) => chunks.map((chunk) => ({
+        text: chunk,
+        paragraphIndex,
+    })));
+    const outputs = paragraphs.map(() => []);
+    const result = {
+        text: '',
+        sourceLanguage: isAutoSource ? 'auto' : options.sourceLanguage,
+        detectedLanguage: null,
+        targetLanguage: options.targetLanguage || null,
+        tone,
+    };
+    if (parts.length === 0) {
+        console.log('No text to translate.');
+        return options.detailed ? result : '';
+    }
+
+    const urlOptions = {...options, tone, ...await resolveTranslatorLanguages(page, options, isDev)};
+    await assertToneSupported(page, tone, urlOptions, isDev);
+    for (let i = 0; i < parts.length; i += 1) {
+        const {text: part, paragraphIndex} = parts[i];
+        if (parts.length > 1) {
+            console.log('Translating part', i + 1, 'of', parts.length);
         }
-    } catch (error) {
-        console.error(`Error in translator function: ${error.message}`);
-        console.error(error.stack);
-        // Save error state HTML if in dev mode
-        const isDev = options.headless === false || options.headless === 'new';
-        if (page && !page.isClosed?.()) {
-            try {
-                await saveHTMLForDebug(page, 'translator-error-state.html', isDev);
-            } catch (saveError) {
-                console.error(`Could not save error HTML: ${saveError.message}`);
+
+        const translated = fitsInUrl(part)
+            ? await translateViaUrl(page, part, urlOptions, isDev, i)
+            : await translateViaInput(page, part, urlOptions, isDev, i);
+        outputs[paragraphIndex].push(translated);
+
+        // The language is detected from the first part QuillBot shows a label for
+        if (isAutoSource && !result.detectedLanguage) {
+            result.detectedLanguage = await readDetectedLanguage(page, options);
+            if (result.detectedLanguage) {
+                console.log(`Detected source language: ${result.detectedLanguage.name}`);
             }
         }
+    }
+
+    result.text = joinParagraphs(paragraphs.map(({separator}, index) => ({
+        text: outputs[index].join(' '),
+        separator,
+    })));
+    return options.detailed ? result : result.text;
+}
+
+/**
+ * Check the verify options
+ * @param {Object} options - Translation options (verify, verifyThreshold)
+ * @returns {Object|null} Verification settings ({method, threshold}) or null if no verification was requested
+ * @throws {InvalidOptionError} If the method or threshold is not supported
+ */
+function validateVerifyOptions(options) {
+    if (!options.verify) {
         return null;
-    } finally {
-        await closeBrowser(browser, options);
     }
+    if (!VERIFY_METHODS.includes(options.verify)) {
+        throw new InvalidOptionError(`Unknown verify method "${options.verify}". Available methods: ${VERIFY_METHODS.join(', ')}`, {
+            option: 'verify',
+        });
+    }
+    const threshold = options.verifyThreshold ?? DEFAULT_DRIFT_THRESHOLD;
+    if (typeof threshold !== 'number' || threshold < 0 || threshold > 1) {
+        throw new InvalidOptionError('verifyThreshold must be a number from 0 to 1', {option: 'verifyThreshold'});
+    }
+    return {method: options.verify, threshold};
+}
+
+/**
+ * Translate a translation back into the source language and score how much of the original survived
+ * @param {Object} page - Puppeteer page object
+ * @param {string} text - Original text
+ * @param {Object} result - Detailed translation result
+ * @param {Object} options - Translation options
+ * @param {Object} verification - Validated verification settings ({method, threshold})
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<Object>} Verification ({method, backTranslation, score, threshold, sentences, drifted}); sentences
+ *   are ({source, backTranslation, similarity, drifted}) and drifted counts the flagged sentences
+ * @throws {InvalidOptionError} If the source language is neither given nor detected
+ */
+async function backTranslateOnPage(page, text, result, options, verification, isDev) {
+    const sourceLanguage = result.sourceLanguage !== 'auto'
+        ? result.sourceLanguage
+        : result.detectedLanguage && result.detectedLanguage.name;
+    if (!sourceLanguage) {
+        throw new InvalidOptionError('Back-translation needs sourceLanguage when QuillBot does not show the detected language', {
+            option: 'sourceLanguage',
+        });
+    }
+
+    console.log(`Back-translating into ${sourceLanguage}...`);
+    const backTranslation = await translateTextOnPage(page, result.text, {
+        ...options,
+        sourceLanguage: result.targetLanguage,
+        targetLanguage: sourceLanguage,
+        tone: 'auto',
+        detailed: false,
+    }, isDev);
+
+    // Sentences are paired with the DP aligner, so split or merged sentences are scored together
+    const locale = (result.detectedLanguage && result.detectedLanguage.code) || undefined;
+    const sentences = alignSentences(text, backTranslation, locale).map((pair) => ({
+        source: pair.source,
+        backTranslation: pair.target,
+        similarity: pair.similarity,
+        drifted: pair.similarity < verification.threshold,
+    }));
+    const score = similarity(text, backTranslation, locale);
+    const drifted = sentences.filter((sentence) => sentence.drifted).length;
+    console.log(`Back-translation similarity: ${score.toFixed(2)} (${drifted} of ${sentences.length} sentences drifted)`);
+    return {
+        method: verification.method,
+        backTranslation,
+        score,
+        threshold: verification.threshold,
+        sentences,
+        drifted,
+    };
+}
+
+/**
+ * Translate text into one target language and verify it if requested
+ * @param {Object} page - Puppeteer page object
+ * @param {string} text - Text to translate
+ * @param {Object} options - Translation options (see translateOnPage)
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<string|Object>} Translated text, or a detailed result (with verification when verify is set)
+ */
+async function translateSingleOnPage(page, text, options, isDev) {
+    const verification = validateVerifyOptions(options);
+    if (!verification) {
+        return translateTextOnPage(page, text, options, isDev);
+    }
+
+    const result = await translateTextOnPage(page, text, {...options, detailed: true}, isDev);
+    if (!result.text) {
+        return {...result, verification: null};
+    }
+    return {...result, verification: await backTranslateOnPage(page, text, result, options, verification, isDev)};
+}
+
+/**
+ * Check the targetLanguages option and look up the code each translation is keyed by
+ * @param {Object} page - Puppeteer page object
+ * @param {Object} options - Translation options (targetLanguages and capabilities cache options)
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<Object[]>} Targets ({language, code}) in the requested order
+ * @throws {InvalidOptionError} If the option is not a list of languages or a language is not offered by the translator
+ */
+async function resolveTargetLanguages(page, options, isDev) {
+    const {targetLanguages} = options;
+    if (!Array.isArray(targetLanguages) || targetLanguages.length === 0
+        || targetLanguages.some((language) => typeof language !== 'string' || !language.trim())) {
+        throw new InvalidOptionError('targetLanguages must be a non-empty array of language names or codes', {option: 'targetLanguages'});
+    }
+    if (options.targetLanguage) {
+        throw new InvalidOptionError('Use either targetLanguage or targetLanguages, not both', {option: 'targetLanguages'});
+    }
+
+    const languages = await loadCapabilitiesForValidation('languages', options, () => readTranslatorLanguages(page, isDev));
+    const targets = targetLanguages.map((language) => ({
+        language,
+        code: resolveTargetCode(languages, language, 'targetLanguages'),
+    }));
+
+    const codes = targets.map(({code}) => code);
+    const duplicate = codes.find((code, index) => codes.indexOf(code) !== index);
+    if (duplicate) {
+        throw new InvalidOptionError(`targetLanguages lists "${duplicate}" more than once`, {option: 'targetLanguages'});
+    }
+    return targets;
+}
+
+/**
+ * Translate text into several target languages in turn on the same page
+ * @param {Object} page - Puppeteer page object (reused for every language)
+ * @param {string} text - Text to translate
+ * @param {Object} options - Translation options with targetLanguages instead of targetLanguage
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<Object>} Translations keyed by language code ({translations, failures}); each failure is the
+ *   serialized QuillBotError for that language ({name, message, option?, ...}, see serializeError), so one failed
+ *   language does not lose the others and the result stays JSON-safe
+ * @throws {InvalidOptionError} If targetLanguages is invalid
+ */
+async function translateToManyOnPage(page, text, options, isDev) {
+    const targets = await resolveTargetLanguages(page, options, isDev);
+    const translations = {};
+    const failures = {};
+    let quotaError = null;
+
+    for (const {language, code} of targets) {
+        if (quotaError) {
+            // Once a usage limit is hit, the remaining languages would fail the same way
+            failures[code] = quotaError;
+        } else {
+            console.log(`Translating into ${language} (${code})...`);
+            try {
+                translations[code] = await translateSingleOnPage(page, text, {
+                    ...options,
+                    targetLanguages: undefined,
+                    targetLanguage: language,
+                }, isDev);
+            } catch (error) {
+                console.error(`Error translating into ${language}: ${error.message}`);
+                failures[code] = serializeError(toQuillBotError(error));
+                if (error instanceof QuotaExceededError) {
+                    quotaError = failures[code];
+                }
+            }
+        }
+    }
+
+    console.log(`Translated into ${Object.keys(translations).length} of ${targets.length} languages`);
+    return {translations, failures};
+}
+
+/**
+ * Translate text in a page into one target language, or into each of targetLanguages
+ * @param {Object} page - Puppeteer page object (reused pages skip the full initialization wait)
+ * @param {string} text - Text to translate
+ * @param {Object} options - Options object
+ * @param {string} options.sourceLanguage - Source language (e.g., 'English (US)')
+ * @param {string} options.targetLanguage - Target language (e.g., 'Spanish')
+ * @param {string[]} options.targetLanguages - Several target languages, translated in turn on the same page
+ * @param {string} options.tone - Translation tone: 'auto', 'formal' or 'informal' (default: 'auto')
+ * @param {boolean} options.detailed - Return a result object with the detected source language instead of a string
+ * @param {string} options.verify - 'backtranslate' to translate the output back and score it against the input
+ *   (implies detailed and adds verification to the result)
+ * @param {number} options.verifyThreshold - Similarity from 0 to 1 below which a sentence counts as drifted (default: 0.5)
+ * @param {string} options.capabilitiesCacheFile - Cache file for the scraped language menus
+ * @param {number} options.capabilitiesTtl - Cache lifetime in milliseconds, 0 to disable the cache
+ * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<string|Object>} Translated text, or with `detailed` a result
+ *   ({text, sourceLanguage, detectedLanguage, targetLanguage, tone, verification}); detectedLanguage is ({code, name})
+ *   or null. With targetLanguages, ({translations, failures}) keyed by language code
+ * @throws {QuillBotError} If the translation fails
+ * @throws {InvalidOptionError} If a language or tone is not offered by the translator
+ */
+async function translateOnPage(page, text, options = {}, isDev = false) {
+    // Check the verify options before anything is translated
+    validateVerifyOptions(options);
+    return options.targetLanguages
+        ? translateToManyOnPage(page, text, options, isDev)
+        : translateSingleOnPage(page, text, options, isDev);
 }
 
 module.exports = {
-    translator,
+    readTranslatorLanguages,
+    translateOnPage,
 };
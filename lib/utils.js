@@ -3,6 +3,13 @@ const path = require('path');
 
 const puppeteer = require('puppeteer');
 
+// Close buttons of the tips and onboarding dialogs shown when a tool loads
+const MODAL_CLOSE_SELECTORS = [
+    '[data-testid="styleq-dialog-close-button"]', // Smart Thesaurus tip
+    '[role="dialog"] [data-testid*="close" i]',
+    '[role="dialog"] button[aria-label="close" i]',
+];
+
 /**
  * Helper function to safely execute page operations with retry
  * @param {Function} operation - The async operation to execute
@@ -68,9 +75,10 @@ async function safePageOperation(operation, retries = 3, pageRef = null) {
  * @param {Object} page - Puppeteer page object
  * @param {string} filename - Name of the file to save
  * @param {boolean} isDev - Whether in development mode
+ * @returns {Promise<string|null>} Path of the saved file or null if nothing was saved
  */
 async function saveHTMLForDebug(page, filename, isDev) {
-    if (!isDev || !page) return; // Only save in dev mode and if page exists
+    if (!isDev || !page) return null; // Only save in dev mode and if page exists
 
     try {
         const html = await safePageOperation(async () => {
@@ -89,7 +97,7 @@ async function saveHTMLForDebug(page, filename, isDev) {
 
         if (!html) {
             // Page was closed or detached, can't save
-            return;
+            return null;
         }
 
         const debugDir = path.join(process.cwd(), 'debug-html');
@@ -99,6 +107,7 @@ async function saveHTMLForDebug(page, filename, isDev) {
         const filepath = path.join(debugDir, filename);
         fs.writeFileSync(filepath, html, 'utf8');
         console.log(`HTML saved to: ${filepath}`);
+        return filepath;
     } catch (error) {
         // Silently fail - HTML saving is not critical
         // Only log if it's not a known navigation/frame error
@@ -107,22 +116,34 @@ async function saveHTMLForDebug(page, filename, isDev) {
             && !error.message.includes('Session closed')) {
             console.log(`Note: Could not save HTML ${filename}: ${error.message}`);
         }
+        return null;
     }
 }
 
 /**
- * Setup browser and page with error handling
+ * Launch a browser without opening any pages
  * @param {Object} options - Options object containing headless setting
- * @returns {Promise<Object>} Object containing browser and page
+ * @param {string} options.userDataDir - Browser profile directory to reuse between runs (default: fresh profile)
+ * @returns {Promise<Object>} Object containing browser and isDev flag
  */
-async function setupBrowser(options = {}) {
+async function launchBrowser(options = {}) {
     const isDev = options.headless === false || options.headless === 'new';
 
     if (typeof options.headless !== 'boolean') options.headless = 'new';
     const browser = await puppeteer.launch({
         headless: options.headless === 'new' ? false : options.headless,
+        ...(options.userDataDir ? {userDataDir: options.userDataDir} : {}),
     });
 
+    return {browser, isDev};
+}
+
+/**
+ * Open a new page with console filtering and the default viewport
+ * @param {Object} browser - Puppeteer browser or browser context
+ * @returns {Promise<Object>} Puppeteer page object
+ */
+async function createPage(browser) {
     const page = await browser.newPage();
 
     // Suppress console errors from Puppeteer - filter out known harmless errors
@@ -161,6 +182,18 @@ async function setupBrowser(options = {}) {
     // Set a reasonable viewport
     await page.setViewport({width: 1920, height: 1080});
 
+    return page;
+}
+
+/**
+ * Setup browser and page with error handling
+ * @param {Object} options - Options object containing headless and userDataDir settings
+ * @returns {Promise<Object>} Object containing browser and page
+ */
+async function setupBrowser(options = {}) {
+    const {browser, isDev} = await launchBrowser(options);
+    const page = await createPage(browser);
+
     return {browser, page, isDev};
 }
 
@@ -189,6 +222,24 @@ async function navigateToUrl(page, url) {
     }
 }
 
+/**
+ * Wait for the key elements of a tool page to appear
+ * @param {Object} page - Puppeteer page object
+ * @param {Function} elementCheckFn - Function to check if key elements are present
+ * @returns {Promise<boolean>} True if the elements were detected
+ */
+async function waitForElements(page, elementCheckFn) {
+    console.log('Waiting for page elements to load...');
+    try {
+        await page.waitForFunction(elementCheckFn, {timeout: 30000, polling: 500});
+        console.log('Page elements detected');
+        return true;
+    } catch (error) {
+        console.log(`Page elements not detected within timeout: ${error.message}, continuing anyway...`);
+        return false;
+    }
+}
+
 /**
  * Wait for page to be fully initialized
  * @param {Object} page - Puppeteer page object
@@ -209,13 +260,7 @@ async function waitForPageInitialization(page, elementCheckFn) {
     }
 
     // Wait for the page to be fully interactive
-    console.log('Waiting for page elements to load...');
-    try {
-        await page.waitForFunction(elementCheckFn, {timeout: 30000, polling: 500});
-        console.log('Page elements detected');
-    } catch (error) {
-        console.log(`Page elements not detected within timeout: ${error.message}, continuing anyway...`);
-    }
+    await waitForElements(page, elementCheckFn);
 
     // Additional wait for React/JavaScript to fully initialize
     console.log('Waiting for React to fully initialize...');
@@ -448,23 +493,37 @@ async function inputString(page, inputSelector, text) {
  * Get output content from an element
  * @param {Object} page - Puppeteer page object
  * @param {string} selector - CSS selector for the output element
+ * @param {Object} options - Options object
+ * @param {boolean} options.preserveBreaks - Keep line breaks between block-level elements (default: false)
  * @returns {Promise<string|null>} Output content or null
  */
-async function getOutputContent(page, selector) {
+async function getOutputContent(page, selector, {preserveBreaks = false} = {}) {
     try {
-        const content = await safePageOperation(async () => page.evaluate((sel) => {
+        const content = await safePageOperation(async () => page.evaluate((sel, keepBreaks) => {
             const element = document.querySelector(sel);
             if (element) {
+                // innerText renders block-level elements on their own lines, textContent flattens them
+                if (keepBreaks) {
+                    return element.innerText || element.textContent || '';
+                }
                 return element.textContent || element.innerText || '';
             }
             return null;
-        }, selector));
+        }, selector, preserveBreaks));
 
         if (content === null || content.trim() === '') {
             console.log('Output element not found or no content.');
             return null;
         }
 
+        if (preserveBreaks) {
+            return content
+                .replace(/\r\n?/g, '\n')
+                .replace(/[^\S\n]+\n/g, '\n')
+                .replace(/\n{3,}/g, '\n\n')
+                .trim();
+        }
+
         return content.trim();
     } catch (error) {
         console.error(`Error retrieving output content: ${error.message}`);
@@ -472,16 +531,147 @@ async function getOutputContent(page, selector) {
     }
 }
 
+/**
+ * Find the first selector from a list that matches a visible element
+ * @param {Object} page - Puppeteer page object
+ * @param {string[]} selectors - Candidate CSS selectors in order of preference
+ * @param {number} timeout - How long to wait for one of them to become visible in milliseconds (default: 0, no waiting)
+ * @returns {Promise<string|null>} Matching selector or null
+ */
+async function findVisibleSelector(page, selectors, timeout = 0) {
+    const findVisible = (candidates) => candidates.find((selector) => {
+        const element = document.querySelector(selector);
+        return element && element.getClientRects().length > 0;
+    }) || null;
+
+    if (timeout > 0) {
+        try {
+            await safePageOperation(async () => page.waitForFunction(findVisible, {timeout, polling: 250}, selectors));
+        } catch (error) {
+            // None became visible in time
+            return null;
+        }
+    }
+    return safePageOperation(async () => page.evaluate(findVisible, selectors), 2, page);
+}
+
+/**
+ * Click the character at an offset in an element's text, e.g. to open the popup for a word or sentence
+ * @param {Object} page - Puppeteer page object
+ * @param {string} selector - CSS selector for the element
+ * @param {number} offset - Character offset in the element's trimmed text (as returned by getOutputContent)
+ * @returns {Promise<boolean>} True if the character was found and clicked
+ */
+async function clickTextAt(page, selector, offset) {
+    try {
+        const point = await safePageOperation(async () => page.evaluate((sel, charOffset) => {
+            const element = document.querySelector(sel);
+            if (!element) return null;
+
+            // Offsets exclude the leading whitespace trimmed from the text
+            let remaining = charOffset + (element.textContent.length - element.textContent.trimStart().length);
+            const walker = document.createTreeWalker(element, window.NodeFilter.SHOW_TEXT);
+            for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+                if (remaining < node.textContent.length) {
+                    node.parentElement.scrollIntoView({block: 'center'});
+                    const range = document.createRange();
+                    range.setStart(node, remaining);
+                    range.setEnd(node, remaining + 1);
+                    const rect = range.getBoundingClientRect();
+                    return {x: rect.left + rect.width / 2, y: rect.top + rect.height / 2};
+                }
+                remaining -= node.textContent.length;
+            }
+            return null;
+        }, selector, offset), 2, page);
+
+        if (!point) {
+            return false;
+        }
+        await safePageOperation(async () => page.mouse.click(point.x, point.y));
+        return true;
+    } catch (error) {
+        console.error(`Error clicking text at offset ${offset}: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Wait for a list of options (e.g., a popup or menu) to appear and read the text of each option
+ * @param {Object} page - Puppeteer page object
+ * @param {string[]} selectors - Candidate CSS selectors for the option elements, in order of preference
+ * @param {number} timeout - Milliseconds to wait for the options (default: 10000)
+ * @returns {Promise<string[]>} Unique, non-empty option texts, or an empty array if none appeared
+ */
+async function waitForOptionTexts(page, selectors, timeout = 10000) {
+    const readOptions = (optionSelectors) => {
+        for (const selector of optionSelectors) {
+            const texts = Array.from(document.querySelectorAll(selector))
+                .filter((el) => el.getClientRects().length > 0)
+                .map((el) => (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim())
+                .filter(Boolean);
+            if (texts.length > 0) {
+                return [...new Set(texts)];
+            }
+        }
+        return null;
+    };
+
+    try {
+        await safePageOperation(async () => page.waitForFunction(readOptions, {timeout, polling: 250}, selectors));
+        return await safePageOperation(async () => page.evaluate(readOptions, selectors), 2, page) || [];
+    } catch (error) {
+        console.log(`Options did not appear: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Close any modal dialogs that appear on the page (e.g., Smart Thesaurus tip, tool onboarding dialogs)
+ * @param {Object} page - Puppeteer page object
+ * @returns {Promise<void>}
+ */
+async function closeModalIfPresent(page) {
+    try {
+        // Wait a bit for modal to appear if it's going to
+        await wait(500);
+
+        // Try to find and click the close button
+        await safePageOperation(async () => {
+            for (const selector of MODAL_CLOSE_SELECTORS) {
+                const closeButton = await page.$(selector);
+                if (closeButton) {
+                    await closeButton.click();
+                    console.log(`Closed modal dialog (${selector})`);
+                    await wait(300); // Wait for modal to close
+                    return true;
+                }
+            }
+            return false;
+        }, 2, page);
+    } catch (error) {
+        // Modal closing is optional, don't throw
+        console.log(`Modal close attempt failed (continuing): ${error.message}`);
+    }
+}
+
 module.exports = {
     safePageOperation,
     saveHTMLForDebug,
+    launchBrowser,
+    createPage,
     setupBrowser,
     navigateToUrl,
+    waitForElements,
     waitForPageInitialization,
     closeBrowser,
     getInputContent,
     clearInputField,
     inputString,
     getOutputContent,
+    findVisibleSelector,
+    clickTextAt,
+    waitForOptionTexts,
+    closeModalIfPresent,
     wait,
 };